@@ -0,0 +1,150 @@
+/**
+ * Cell Filtering Core
+ * Parsing, filtering and per-class counting of cells on typed columns.
+ * Loaded both by the cell worker (js/cell-worker.js, through importScripts)
+ * and by the page, where js/cell-worker-client.js falls back to it when
+ * workers are unavailable; `self` is the window in the page.
+ */
+
+(function() {
+    'use strict';
+
+    // Sorted class labels of parsed cells and the index of each label
+    function indexClasses(cells) {
+        const classes = Array.from(new Set(cells.map(cell => cell.class))).sort();
+        return { classes, indexOf: new Map(classes.map((name, i) => [name, i])) };
+    }
+
+    // Apply to a cell table (see js/cell-table.js; only count, classes and
+    // columns are read) the gene-count (params.minGeneCount) and plane slab
+    // (params.planeRange, inclusive [min, max] z) filters, either null when off.
+    // Cells passing them are counted per class; those of visible classes
+    // (params.visibleClasses[classIndex])
+    // are returned as indices with gathered positions ([x, y], or [x, y, z] with
+    // params.withZ), radii and fill colours: given params.palette (RGBA per class)
+    // by class, given params.colorScale ({ column, min, max, lut: 256 RGBA entries})
+    // by the value of a column, min..max mapped onto the lut (missing values at min).
+    // Given the z-values of the stack (params.planes), visible cells passing the
+    // gene-count filter are also counted per plane and class, whatever the slab
+    // (planeCounts[plane * classes + class]).
+    function filterColumns(table, params) {
+        const n = table.count;
+        const columns = table.columns;
+        const range = params.planeRange;
+        const minGeneCount = params.minGeneCount;
+        const classTotal = table.classes.length;
+        const classCounts = new Uint32Array(classTotal);
+        const planes = params.planes || null;
+        const planeIndex = planes ? new Map(Array.from(planes, (z, p) => [z, p])) : null;
+        const planeCounts = new Uint32Array(planes ? planes.length * classTotal : 0);
+        const selected = new Uint32Array(n);
+        let m = 0;
+
+        for (let i = 0; i < n; i++) {
+            if (minGeneCount !== null && !(columns.gene_counts[i] >= minGeneCount)) continue;
+            const classIndex = columns.class[i];
+            const visible = params.visibleClasses[classIndex];
+            const z = columns.z[i];
+            if (planeIndex && visible) {
+                const p = planeIndex.get(z);
+                if (p !== undefined) planeCounts[p * classTotal + classIndex]++;
+            }
+            if (range !== null && (z < range[0] || z > range[1])) continue;
+            classCounts[classIndex]++;
+            if (visible) selected[m++] = i;
+        }
+
+        const indices = selected.slice(0, m);
+        const positionSize = params.withZ ? 3 : 2;
+        const positions = new Float32Array(m * positionSize);
+        const radii = new Float32Array(m);
+        const palette = params.palette;
+        const scale = params.colorScale || null;
+        const scaleValues = scale ? columns[scale.column] : null;
+        const scaleSpan = scale ? scale.max - scale.min : 0;
+        const colors = (palette || scale) ? new Uint8Array(m * 4) : null;
+        for (let j = 0; j < m; j++) {
+            const i = indices[j];
+            positions[j * positionSize] = columns.x[i];
+            positions[j * positionSize + 1] = columns.y[i];
+            if (positionSize === 3) positions[j * 3 + 2] = columns.z[i];
+            radii[j] = columns.r[i];
+            if (scale) {
+                const t = scaleSpan > 0 ? (scaleValues[i] - scale.min) / scaleSpan : 0;
+                const k = Number.isFinite(t) ? Math.round(Math.max(0, Math.min(1, t)) * 255) * 4 : 0;
+                colors[j * 4] = scale.lut[k];
+                colors[j * 4 + 1] = scale.lut[k + 1];
+                colors[j * 4 + 2] = scale.lut[k + 2];
+                colors[j * 4 + 3] = scale.lut[k + 3];
+            } else if (colors) {
+                const c = columns.class[i] * 4;
+                colors[j * 4] = palette[c];
+                colors[j * 4 + 1] = palette[c + 1];
+                colors[j * 4 + 2] = palette[c + 2];
+                colors[j * 4 + 3] = palette[c + 3];
+            }
+        }
+
+        return { indices, positions, positionSize, radii, colors, classCounts, planeCounts };
+    }
+
+    // Fields of every cell, stored as typed columns
+    const CELL_FIELDS = ['id', 'x', 'y', 'z', 'r', 'gene_counts', 'class'];
+
+    // Parsed JSON cells file -> the layout of a decoded binary file
+    // (see CellFormat.decode), so both formats load into the same cell table.
+    // Missing gene counts are NaN. Any other field of the cells (e.g. region)
+    // is kept in extras: field -> array of its values in cell order.
+    function parseCellsJSON(data) {
+        const cells = data.cells || [];
+        const n = cells.length;
+        const defaultRadius = data.default_radius || 6.0;
+        const { classes, indexOf } = indexClasses(cells);
+        const columns = {
+            id: new Float64Array(n),
+            x: new Float64Array(n),
+            y: new Float64Array(n),
+            z: new Float64Array(n),
+            r: new Float64Array(n),
+            gene_counts: new Float64Array(n),
+            class: new Uint32Array(n)
+        };
+        const extras = {};
+        for (let i = 0; i < n; i++) {
+            const cell = cells[i];
+            for (const name in cell) {
+                if (CELL_FIELDS.includes(name)) continue;
+                if (!extras[name]) extras[name] = new Array(n);
+                extras[name][i] = cell[name];
+            }
+            columns.id[i] = cell.id;
+            columns.x[i] = cell.x;
+            columns.y[i] = cell.y;
+            columns.z[i] = cell.z || 0;
+            columns.r[i] = cell.r || defaultRadius;
+            columns.gene_counts[i] = (typeof cell.gene_counts === 'number') ? cell.gene_counts : NaN;
+            columns.class[i] = indexOf.get(cell.class);
+        }
+        return {
+            run_id: data.run_id,
+            z_values: data.z_values || [],
+            default_radius: data.default_radius,
+            count: n,
+            classes,
+            columns,
+            extras
+        };
+    }
+
+    // Buffers of the typed arrays among an object's values (postMessage transfer list)
+    function transferables(object) {
+        return Object.values(object).filter(value => ArrayBuffer.isView(value)).map(value => value.buffer);
+    }
+
+    self.CellFilterCore = {
+        filterColumns: filterColumns,
+        parseCellsJSON: parseCellsJSON,
+        transferables: transferables
+    };
+
+})();
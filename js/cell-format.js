@@ -0,0 +1,107 @@
+/**
+ * Cell File Formats
+ * Reads the cells of a run from the compact binary file (data/run_N_cells.bin)
+ * when runs_metadata.json declares "cells_format": "binary", and from
+ * data/run_N_cells.json otherwise or when the binary file is missing.
+ *
+ * Binary layout (little-endian):
+ *   bytes 0-3   magic "PCSB"
+ *   bytes 4-7   uint32 length of the JSON header
+ *   header      UTF-8 JSON: { version, run_id, count, z_values, default_radius,
+ *               classes: [label, ...], columns: [{ name, dtype, offset }] }
+ *   columns     one typed array of `count` values per column at `offset` bytes
+ *               from the start of the file: id, x, y, z, r, gene_counts and
+ *               class (index into `classes`)
+ *
+ * Files are written by scripts/convert_cells_to_binary.py. JSON files are
+ * parsed in the cell worker (js/cell-worker-client.js) into the same columns.
+ * Either way a run loads as a cell table (js/cell-table.js).
+ */
+
+(function() {
+    'use strict';
+
+    const MAGIC = 'PCSB';
+    const FORMAT_VERSION = 1;
+
+    const DTYPES = {
+        float32: Float32Array,
+        float64: Float64Array,
+        int32: Int32Array,
+        uint32: Uint32Array,
+        uint16: Uint16Array,
+        uint8: Uint8Array
+    };
+
+    const REQUIRED_COLUMNS = ['id', 'x', 'y', 'z', 'r', 'gene_counts', 'class'];
+
+    // 'binary' or 'json', from runs_metadata.json
+    let preferredFormat = 'json';
+
+    function setPreferredFormat(format) {
+        preferredFormat = format === 'binary' ? 'binary' : 'json';
+    }
+
+    // Parse a binary cells file into a cell table (see js/cell-table.js), the
+    // columns viewing the file's buffer
+    function decode(buffer) {
+        const view = new DataView(buffer);
+        const magic = String.fromCharCode(view.getUint8(0), view.getUint8(1), view.getUint8(2), view.getUint8(3));
+        if (magic !== MAGIC) throw new Error('Not a binary cells file');
+
+        const headerLength = view.getUint32(4, true);
+        const header = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, 8, headerLength)));
+        if (header.version !== FORMAT_VERSION) throw new Error(`Unsupported binary cells version ${header.version}`);
+
+        const columns = {};
+        header.columns.forEach(col => {
+            const ArrayType = DTYPES[col.dtype];
+            if (!ArrayType) throw new Error(`Unsupported column type ${col.dtype} for ${col.name}`);
+            columns[col.name] = new ArrayType(buffer, col.offset, header.count);
+        });
+        const missing = REQUIRED_COLUMNS.filter(name => !columns[name]);
+        if (missing.length) throw new Error(`Binary cells file lacks column(s): ${missing.join(', ')}`);
+
+        return {
+            run_id: header.run_id,
+            z_values: header.z_values || [],
+            default_radius: header.default_radius,
+            count: header.count,
+            classes: header.classes,
+            columns,
+            extras: {}
+        };
+    }
+
+    async function fetchBinary(runId, signal) {
+        const response = await fetch(`data/${runId}_cells.bin`, { signal });
+        if (!response.ok) {
+            throw new Error(`Failed to load ${runId}_cells.bin: ${response.statusText}`);
+        }
+        return decode(await response.arrayBuffer());
+    }
+
+    async function fetchJSON(runId, signal) {
+        return window.CellWorker.parseCellsJSON(`data/${runId}_cells.json`, { signal });
+    }
+
+    // Cell table of a run (see js/cell-table.js); options.signal aborts the fetch
+    async function fetchRunCells(runId, options = {}) {
+        if (preferredFormat === 'binary') {
+            try {
+                return await fetchBinary(runId, options.signal);
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                console.warn(`Binary cells of ${runId} unavailable, reading JSON instead:`, error);
+            }
+        }
+        return fetchJSON(runId, options.signal);
+    }
+
+    window.CellFormat = {
+        setPreferredFormat: setPreferredFormat,
+        decode: decode,
+        fetchRunCells: fetchRunCells
+    };
+
+})();
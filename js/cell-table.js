@@ -0,0 +1,118 @@
+/**
+ * Cell Tables
+ * The cells of a run as loaded by js/cell-format.js: typed columns in cell
+ * order, { run_id, z_values, default_radius, count, classes, columns: { id, x,
+ * y, z, r, gene_counts (NaN when missing), class (index into classes) },
+ * extras: field -> array of values (e.g. region) }. Tables are filtered as
+ * they are (see js/cell-worker-client.js); cell objects are only built for the
+ * single cells shown by the tooltip and the cell inspector.
+ */
+
+(function() {
+    'use strict';
+
+    // table -> Map of cell id -> row
+    const idIndex = new WeakMap();
+
+    function getClass(table, i) {
+        return table.classes[table.columns.class[i]];
+    }
+
+    // Region of a row (null when untagged or outside every region)
+    function getRegion(table, i) {
+        const regions = table.extras && table.extras.region;
+        const region = regions ? regions[i] : null;
+        return region === undefined ? null : region;
+    }
+
+    // Whether any row carries a region
+    function hasRegions(table) {
+        const regions = table.extras && table.extras.region;
+        return !!regions && regions.some(region => region != null);
+    }
+
+    // Cell object of a row ({id, x, y, z, r, class, gene_counts} and the extra
+    // fields it has); gene_counts is left out when missing
+    function getCell(table, i) {
+        const c = table.columns;
+        const cell = {
+            id: c.id[i],
+            x: c.x[i],
+            y: c.y[i],
+            z: c.z[i],
+            r: c.r[i],
+            class: getClass(table, i)
+        };
+        if (!Number.isNaN(c.gene_counts[i])) cell.gene_counts = c.gene_counts[i];
+        Object.entries(table.extras || {}).forEach(([name, values]) => {
+            if (values[i] !== undefined) cell[name] = values[i];
+        });
+        return cell;
+    }
+
+    // Row of a cell id (-1 when absent)
+    function indexOfId(table, id) {
+        let byId = idIndex.get(table);
+        if (!byId) {
+            byId = new Map();
+            const ids = table.columns.id;
+            for (let i = 0; i < table.count; i++) byId.set(ids[i], i);
+            idIndex.set(table, byId);
+        }
+        const i = byId.get(id);
+        return i === undefined ? -1 : i;
+    }
+
+    function getCellById(table, id) {
+        const i = indexOfId(table, id);
+        return i < 0 ? null : getCell(table, i);
+    }
+
+    // Cells per class label over the given rows (all rows by default)
+    function countClasses(table, rows = null) {
+        const perClass = new Uint32Array(table.classes.length);
+        const classIndex = table.columns.class;
+        if (rows) {
+            rows.forEach(i => perClass[classIndex[i]]++);
+        } else {
+            for (let i = 0; i < table.count; i++) perClass[classIndex[i]]++;
+        }
+        const counts = {};
+        table.classes.forEach((name, k) => {
+            if (perClass[k] > 0) counts[name] = perClass[k];
+        });
+        return counts;
+    }
+
+    // Bounding box of the cell centres ({minX, minY, maxX, maxY})
+    function getBounds(table) {
+        const { x, y } = table.columns;
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        for (let i = 0; i < table.count; i++) {
+            if (x[i] < minX) minX = x[i];
+            if (x[i] > maxX) maxX = x[i];
+            if (y[i] < minY) minY = y[i];
+            if (y[i] > maxY) maxY = y[i];
+        }
+        return { minX, minY, maxX, maxY };
+    }
+
+    // Rough in-memory size: the column buffers and a pointer per extra value
+    function byteSize(table) {
+        const columns = Object.values(table.columns).reduce((sum, column) => sum + column.byteLength, 0);
+        return columns + Object.keys(table.extras || {}).length * table.count * 8;
+    }
+
+    window.CellTable = {
+        getClass: getClass,
+        getRegion: getRegion,
+        hasRegions: hasRegions,
+        getCell: getCell,
+        indexOfId: indexOfId,
+        getCellById: getCellById,
+        countClasses: countClasses,
+        getBounds: getBounds,
+        byteSize: byteSize
+    };
+
+})();
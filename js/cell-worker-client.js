@@ -0,0 +1,253 @@
+/**
+ * Cell Worker Client
+ * Page side of js/cell-worker.js: parses JSON cell files and filters cell
+ * tables (see js/cell-table.js) in the worker, so class toggles and filter
+ * sliders do not block the page. The worker keeps the tables it parses; other
+ * tables (binary files) are sent to it as they are the first time they are
+ * filtered. Without worker support (or when the worker fails to start) the
+ * same code from js/cell-filter-core.js runs on the page instead.
+ */
+
+(function() {
+    'use strict';
+
+    const WORKER_URL = 'js/cell-worker.js';
+
+    // Cell sets kept in the worker (current run, reference run, a few spares)
+    const MAX_REGISTERED = 4;
+
+    const core = window.CellFilterCore;
+
+    let worker = null;
+    let workerFailed = false;
+    let nextId = 0;
+
+    // request id -> { resolve, reject, fallback }
+    const pending = new Map();
+
+    // cell table -> { key, table }
+    const datasets = new WeakMap();
+    let nextKey = 0;
+
+    // Datasets held by the worker, least recently used first
+    let registered = [];
+
+    function abortError() {
+        return new DOMException('Cell worker request aborted', 'AbortError');
+    }
+
+    // Rerun the requests of a failed worker on the page
+    function onWorkerError(event) {
+        if (event && event.preventDefault) event.preventDefault();
+        console.warn('Cell worker unavailable, filtering on the main thread:', event && event.message);
+        workerFailed = true;
+        if (worker) worker.terminate();
+        worker = null;
+        registered = [];
+
+        const requests = Array.from(pending.values());
+        pending.clear();
+        requests.forEach(entry => {
+            Promise.resolve().then(entry.fallback).then(entry.resolve, entry.reject);
+        });
+    }
+
+    function onMessage(event) {
+        const { id, result, error } = event.data;
+        const entry = pending.get(id);
+        if (!entry) return;
+        pending.delete(id);
+        if (error) {
+            entry.reject(error.name === 'AbortError' ? abortError() : new Error(error.message));
+        } else {
+            entry.resolve(result);
+        }
+    }
+
+    function getWorker() {
+        if (worker || workerFailed) return worker;
+        if (typeof Worker === 'undefined') {
+            workerFailed = true;
+            return null;
+        }
+        try {
+            worker = new Worker(WORKER_URL);
+        } catch (error) {
+            onWorkerError(error);
+            return null;
+        }
+        worker.onmessage = onMessage;
+        worker.onerror = onWorkerError;
+        return worker;
+    }
+
+    // Post a request to the worker; fallback() produces the result on the page
+    // if the worker dies before answering
+    function request(message, fallback, signal = null) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(abortError());
+                return;
+            }
+            const id = ++nextId;
+            pending.set(id, { resolve, reject, fallback });
+            worker.postMessage(Object.assign({ id }, message));
+
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    if (!pending.delete(id)) return;
+                    if (worker) worker.postMessage({ type: 'abort', target: id });
+                    reject(abortError());
+                }, { once: true });
+            }
+        });
+    }
+
+    async function parseOnPage(url, signal) {
+        const response = await fetch(url, { signal });
+        if (!response.ok) {
+            throw new Error(`Failed to load ${url}: ${response.statusText}`);
+        }
+        return core.parseCellsJSON(await response.json());
+    }
+
+    // JSON cells file parsed into a cell table, the layout of a decoded binary
+    // file (see CellFormat.decode); options.signal aborts the fetch. A table
+    // parsed by the worker stays registered there under the request's key.
+    function parseCellsJSON(url, options = {}) {
+        const fallback = () => parseOnPage(url, options.signal);
+        if (!getWorker()) return fallback();
+        // The worker resolves URLs against its own script, so send an absolute one
+        const absoluteUrl = new URL(url, document.baseURI).href;
+        const key = `cells-${++nextKey}`;
+        return request({ type: 'parse', url: absoluteUrl, key }, fallback, options.signal)
+            .then(table => {
+                // Parsed on the page when the worker died meanwhile
+                if (worker) {
+                    const dataset = { key, table };
+                    datasets.set(table, dataset);
+                    touch(dataset);
+                }
+                return table;
+            }, error => {
+                if (worker) worker.postMessage({ type: 'release', key });
+                throw error;
+            });
+    }
+
+    function getDataset(table) {
+        let dataset = datasets.get(table);
+        if (!dataset) {
+            dataset = { key: `cells-${++nextKey}`, table };
+            datasets.set(table, dataset);
+        }
+        return dataset;
+    }
+
+    // Mark a dataset held by the worker as most recently used, releasing the
+    // least recently used beyond the limit
+    function touch(dataset) {
+        const index = registered.indexOf(dataset);
+        if (index >= 0) registered.splice(index, 1);
+        registered.push(dataset);
+        while (registered.length > MAX_REGISTERED) {
+            worker.postMessage({ type: 'release', key: registered.shift().key });
+        }
+    }
+
+    // Make sure the worker holds a dataset
+    function register(dataset) {
+        if (!registered.includes(dataset)) {
+            const { count, classes, columns } = dataset.table;
+            worker.postMessage({ type: 'register', key: dataset.key, table: { count, classes, columns } });
+        }
+        touch(dataset);
+    }
+
+    // Worker parameters of filter options, per class index of the dataset
+    function buildParams(dataset, options) {
+        const classes = dataset.table.classes;
+        const visibleClasses = new Uint8Array(classes.length);
+        classes.forEach((name, i) => {
+            visibleClasses[i] = (options.classVisible && options.classVisible[name] === false) ? 0 : 1;
+        });
+
+        const alpha = options.alpha === undefined ? 255 : options.alpha;
+        let palette = null;
+        if (options.classColor) {
+            palette = new Uint8Array(classes.length * 4);
+            classes.forEach((name, i) => {
+                const color = options.classColor(name);
+                palette.set([color[0], color[1], color[2], alpha], i * 4);
+            });
+        }
+
+        // Colormap sampled into a lookup table of 256 colours
+        let colorScale = null;
+        if (options.colorScale) {
+            const lut = new Uint8Array(256 * 4);
+            for (let k = 0; k < 256; k++) {
+                const color = options.colorScale.color(k / 255);
+                lut.set([color[0], color[1], color[2], alpha], k * 4);
+            }
+            const [min, max] = options.colorScale.domain;
+            colorScale = { column: options.colorScale.column, min, max, lut };
+        }
+
+        return {
+            visibleClasses,
+            planeRange: options.planeRange ? [options.planeRange.min, options.planeRange.max] : null,
+            minGeneCount: options.minGeneCount === undefined ? null : options.minGeneCount,
+            planes: options.planes ? Float64Array.from(options.planes) : null,
+            withZ: !!options.withZ,
+            palette,
+            colorScale
+        };
+    }
+
+    // Class counts keyed by class label (classes without cells left out), and
+    // the class labels indexing planeCounts
+    function toResult(dataset, result) {
+        const classCounts = {};
+        const classes = dataset.table.classes;
+        classes.forEach((name, i) => {
+            if (result.classCounts[i] > 0) classCounts[name] = result.classCounts[i];
+        });
+        return Object.assign({}, result, { classCounts, classes });
+    }
+
+    // Filter a cell table. Options: classVisible (label -> false hides a class),
+    // planeRange ({ min, max } z) and minGeneCount (null: filter off), planes
+    // (z-values to count cells on), withZ (3D positions), and
+    // classColor (label -> [r, g, b]) or colorScale ({ column: 'gene_counts' or 'z',
+    // domain: [min, max], color(t) -> [r, g, b] }) with alpha to also colour the cells.
+    // Resolves to { indices, positions, positionSize, radii, colors, classCounts,
+    // planeCounts, classes }: rows of the shown cells with their gathered
+    // render attributes (colors null without a colouring), cells per class under
+    // the slab and gene-count filters, and visible cells per plane and class.
+    function filterCells(table, options = {}) {
+        const dataset = getDataset(table);
+        const params = buildParams(dataset, options);
+        const fallback = () => core.filterColumns(table, params);
+
+        let result;
+        if (getWorker()) {
+            register(dataset);
+            result = request({ type: 'filter', key: dataset.key, params }, fallback);
+        } else {
+            result = Promise.resolve().then(fallback);
+        }
+        return result.then(raw => toResult(dataset, raw));
+    }
+
+    function isWorkerActive() {
+        return !!worker;
+    }
+
+    window.CellWorker = {
+        parseCellsJSON: parseCellsJSON,
+        filterCells: filterCells,
+        isWorkerActive: isWorkerActive
+    };
+
+})();
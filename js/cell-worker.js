@@ -0,0 +1,75 @@
+/**
+ * Cell Worker
+ * Parses JSON cell files into cell tables and filters and counts the tables
+ * registered by js/cell-worker-client.js, off the main thread. A parsed table
+ * stays registered under the key of its parse request and is posted back as a
+ * copy; filter results are posted back with their typed arrays transferred.
+ *
+ * Messages: { id, type: 'parse', url, key }, { type: 'abort', target },
+ * { type: 'register', key, table }, { type: 'release', key },
+ * { id, type: 'filter', key, params }
+ */
+
+'use strict';
+
+importScripts('cell-filter-core.js');
+
+const core = self.CellFilterCore;
+
+// key -> registered cell table ({ count, classes, columns })
+const datasets = new Map();
+
+// request id -> AbortController of a running parse
+const fetches = new Map();
+
+async function parse(message) {
+    const controller = new AbortController();
+    fetches.set(message.id, controller);
+    try {
+        const response = await fetch(message.url, { signal: controller.signal });
+        if (!response.ok) {
+            throw new Error(`Failed to load ${message.url}: ${response.statusText}`);
+        }
+        const table = core.parseCellsJSON(await response.json());
+        if (controller.signal.aborted) throw new DOMException('Parse aborted', 'AbortError');
+        datasets.set(message.key, { count: table.count, classes: table.classes, columns: table.columns });
+        return { result: table, transfer: [] };
+    } finally {
+        fetches.delete(message.id);
+    }
+}
+
+function filter(message) {
+    const table = datasets.get(message.key);
+    if (!table) throw new Error(`Unknown cell set ${message.key}`);
+    const result = core.filterColumns(table, message.params);
+    return { result, transfer: core.transferables(result) };
+}
+
+const handlers = { parse, filter };
+
+self.onmessage = async (event) => {
+    const message = event.data;
+    if (message.type === 'register') {
+        datasets.set(message.key, message.table);
+        return;
+    }
+    if (message.type === 'release') {
+        datasets.delete(message.key);
+        return;
+    }
+    if (message.type === 'abort') {
+        const controller = fetches.get(message.target);
+        if (controller) controller.abort();
+        return;
+    }
+
+    try {
+        const handler = handlers[message.type];
+        if (!handler) throw new Error(`Unknown message type ${message.type}`);
+        const { result, transfer } = await handler(message);
+        self.postMessage({ id: message.id, result }, transfer);
+    } catch (error) {
+        self.postMessage({ id: message.id, error: { name: error.name, message: error.message } });
+    }
+};
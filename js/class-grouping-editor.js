@@ -0,0 +1,316 @@
+/**
+ * Class grouping editor
+ * Modal dialog for defining named class groups (prefix/regex rules, colour,
+ * order), switching between presets and importing/exporting them as JSON
+ */
+
+(function() {
+    'use strict';
+
+    // Working copy of the preset being edited:
+    // { name, source, builtin, fallback, groups: [{ name, color, rulesText }] }
+    let draft = null;
+
+    function $(id) {
+        return document.getElementById(id);
+    }
+
+    // Rules <-> textarea text (one rule per line, "prefix: ..." or "regex: ...")
+    function rulesToText(rules) {
+        return (rules || []).map(r => `${r.type}: ${r.pattern}`).join('\n');
+    }
+
+    function textToRules(text) {
+        return String(text || '').split('\n')
+            .map(line => line.trim())
+            .filter(Boolean)
+            .map(line => {
+                const m = line.match(/^(prefix|regex)\s*:\s?(.*)$/i);
+                return m ? { type: m[1].toLowerCase(), pattern: m[2] } : { type: 'prefix', pattern: line };
+            });
+    }
+
+    function toDraft(preset) {
+        return {
+            name: preset.name,
+            source: preset.name,
+            builtin: !!preset.builtin,
+            fallback: preset.fallback,
+            groups: preset.groups.map(g => ({ name: g.name, color: g.color, rulesText: rulesToText(g.rules) }))
+        };
+    }
+
+    function fromDraft() {
+        return {
+            name: draft.name.trim(),
+            fallback: draft.fallback,
+            groups: draft.groups.map(g => ({ name: g.name.trim(), color: g.color, rules: textToRules(g.rulesText) }))
+        };
+    }
+
+    function showError(message) {
+        const el = $('groupingEditorError');
+        if (el) el.textContent = message || '';
+    }
+
+    // Class labels currently in the data, for the per-group preview counts
+    function getPreviewLabels() {
+        return (typeof window.getKnownClassLabels === 'function') ? window.getKnownClassLabels() : [];
+    }
+
+    function renderPresetSelect() {
+        const select = $('groupingPresetSelect');
+        select.innerHTML = '';
+        window.ClassGrouping.getPresets().forEach(preset => {
+            const opt = document.createElement('option');
+            opt.value = preset.name;
+            opt.textContent = preset.builtin ? `${preset.name} (built in)` : preset.name;
+            select.appendChild(opt);
+        });
+        select.value = draft.source;
+    }
+
+    // Render the group rows with preview counts
+    function renderRows() {
+        const tbody = $('groupingTableBody');
+        tbody.innerHTML = '';
+        $('groupingPresetName').value = draft.name;
+        $('groupingBuiltinNote').classList.toggle('hidden', !draft.builtin);
+
+        // Preview: how many known class labels land in each group
+        const previewCounts = {};
+        const previewSamples = {};
+        try {
+            const classify = window.ClassGrouping.createClassifier(fromDraft());
+            getPreviewLabels().forEach(label => {
+                const group = classify(label);
+                previewCounts[group] = (previewCounts[group] || 0) + 1;
+                (previewSamples[group] = previewSamples[group] || []).push(label);
+            });
+            showError('');
+        } catch (error) {
+            showError(error.message);
+        }
+
+        draft.groups.forEach((group, i) => {
+            const tr = document.createElement('tr');
+
+            const orderTd = document.createElement('td');
+            orderTd.className = 'grouping-order';
+            const up = document.createElement('button');
+            up.type = 'button';
+            up.textContent = '▲';
+            up.title = 'Move up';
+            up.disabled = i === 0;
+            up.addEventListener('click', () => moveGroup(i, -1));
+            const down = document.createElement('button');
+            down.type = 'button';
+            down.textContent = '▼';
+            down.title = 'Move down';
+            down.disabled = i === draft.groups.length - 1;
+            down.addEventListener('click', () => moveGroup(i, 1));
+            orderTd.appendChild(up);
+            orderTd.appendChild(down);
+
+            const nameTd = document.createElement('td');
+            const nameInput = document.createElement('input');
+            nameInput.type = 'text';
+            nameInput.value = group.name;
+            nameInput.addEventListener('change', () => {
+                const wasFallback = draft.fallback === group.name;
+                group.name = nameInput.value;
+                if (wasFallback) draft.fallback = group.name;
+                renderRows();
+            });
+            nameTd.appendChild(nameInput);
+
+            const colorTd = document.createElement('td');
+            const colorInput = document.createElement('input');
+            colorInput.type = 'color';
+            colorInput.value = /^#[0-9a-f]{6}$/i.test(group.color) ? group.color : '#999999';
+            colorInput.addEventListener('input', () => { group.color = colorInput.value; });
+            colorTd.appendChild(colorInput);
+
+            const rulesTd = document.createElement('td');
+            const rulesInput = document.createElement('textarea');
+            rulesInput.rows = Math.max(1, Math.min(4, group.rulesText.split('\n').length));
+            rulesInput.value = group.rulesText;
+            rulesInput.placeholder = 'prefix: 016 CA1';
+            rulesInput.spellcheck = false;
+            rulesInput.addEventListener('change', () => {
+                group.rulesText = rulesInput.value;
+                renderRows();
+            });
+            rulesTd.appendChild(rulesInput);
+
+            const fallbackTd = document.createElement('td');
+            fallbackTd.className = 'grouping-center';
+            const fallbackInput = document.createElement('input');
+            fallbackInput.type = 'radio';
+            fallbackInput.name = 'groupingFallback';
+            fallbackInput.checked = draft.fallback === group.name;
+            fallbackInput.title = 'Unmatched classes go to this group';
+            fallbackInput.addEventListener('change', () => {
+                draft.fallback = group.name;
+                renderRows();
+            });
+            fallbackTd.appendChild(fallbackInput);
+
+            const countTd = document.createElement('td');
+            countTd.className = 'grouping-center';
+            countTd.textContent = String(previewCounts[group.name] || 0);
+            countTd.title = (previewSamples[group.name] || []).slice(0, 25).join('\n');
+
+            const removeTd = document.createElement('td');
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.textContent = '✕';
+            remove.title = 'Remove group';
+            remove.addEventListener('click', () => {
+                draft.groups.splice(i, 1);
+                if (draft.fallback === group.name) draft.fallback = draft.groups.length ? draft.groups[draft.groups.length - 1].name : '';
+                renderRows();
+            });
+            removeTd.appendChild(remove);
+
+            [orderTd, nameTd, colorTd, rulesTd, fallbackTd, countTd, removeTd].forEach(td => tr.appendChild(td));
+            tbody.appendChild(tr);
+        });
+    }
+
+    function moveGroup(index, delta) {
+        const target = index + delta;
+        if (target < 0 || target >= draft.groups.length) return;
+        const [group] = draft.groups.splice(index, 1);
+        draft.groups.splice(target, 0, group);
+        renderRows();
+    }
+
+    function loadPresetIntoDraft(name) {
+        const preset = window.ClassGrouping.getPreset(name);
+        if (!preset) return;
+        draft = toDraft(preset);
+        if (draft.builtin) draft.name = `${preset.name} copy`;
+        renderRows();
+    }
+
+    function open() {
+        const modal = $('groupingEditor');
+        if (!modal) return;
+        loadPresetIntoDraft(window.ClassGrouping.getActivePreset().name);
+        renderPresetSelect();
+        modal.classList.remove('hidden');
+    }
+
+    function close() {
+        const modal = $('groupingEditor');
+        if (modal) modal.classList.add('hidden');
+        showError('');
+    }
+
+    // Save the draft as a user preset and make it active
+    function saveAndApply() {
+        draft.name = $('groupingPresetName').value;
+        try {
+            const saved = window.ClassGrouping.savePreset(fromDraft());
+            window.ClassGrouping.setActive(saved.name);
+            close();
+        } catch (error) {
+            showError(error.message);
+        }
+    }
+
+    // Activate the selected preset without editing it
+    function applySelectedPreset() {
+        const name = $('groupingPresetSelect').value;
+        window.ClassGrouping.setActive(name);
+        close();
+    }
+
+    function deleteSelectedPreset() {
+        const name = $('groupingPresetSelect').value;
+        const preset = window.ClassGrouping.getPreset(name);
+        if (!preset || preset.builtin) {
+            showError('The built-in preset cannot be deleted.');
+            return;
+        }
+        if (!confirm(`Delete grouping preset "${name}"?`)) return;
+        window.ClassGrouping.deletePreset(name);
+        loadPresetIntoDraft(window.ClassGrouping.getActivePreset().name);
+        renderPresetSelect();
+    }
+
+    function exportPresets() {
+        const userPresets = window.ClassGrouping.getPresets().filter(p => !p.builtin);
+        if (userPresets.length === 0) {
+            showError('There are no saved presets to export yet.');
+            return;
+        }
+        const text = window.ClassGrouping.exportPresets();
+        window.downloadTextFile('class_groupings.json', text, 'application/json');
+    }
+
+    function importPresets(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                const names = window.ClassGrouping.importPresets(reader.result);
+                renderPresetSelect();
+                if (names.length > 0) {
+                    $('groupingPresetSelect').value = names[0];
+                    loadPresetIntoDraft(names[0]);
+                }
+                showError('');
+            } catch (error) {
+                showError(`Import failed: ${error.message}`);
+            }
+        };
+        reader.readAsText(file);
+    }
+
+    function initialize() {
+        const modal = $('groupingEditor');
+        if (!modal) return;
+
+        document.querySelectorAll('.edit-groups-btn').forEach(btn => btn.addEventListener('click', open));
+
+        $('groupingEditorClose').addEventListener('click', close);
+        $('groupingCancel').addEventListener('click', close);
+        $('groupingSave').addEventListener('click', saveAndApply);
+        $('groupingApplyPreset').addEventListener('click', applySelectedPreset);
+        $('groupingDeletePreset').addEventListener('click', deleteSelectedPreset);
+        $('groupingExport').addEventListener('click', exportPresets);
+        $('groupingPresetSelect').addEventListener('change', (e) => loadPresetIntoDraft(e.target.value));
+        // Keep the typed name in the draft, since editing a row re-renders the form
+        $('groupingPresetName').addEventListener('input', (e) => { if (draft) draft.name = e.target.value; });
+        $('groupingAddGroup').addEventListener('click', () => {
+            draft.groups.push({ name: `Group ${draft.groups.length + 1}`, color: '#999999', rulesText: '' });
+            renderRows();
+        });
+
+        const fileInput = $('groupingImportFile');
+        $('groupingImport').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files && fileInput.files[0]) importPresets(fileInput.files[0]);
+            fileInput.value = '';
+        });
+
+        // Close on Escape or a click on the backdrop
+        modal.addEventListener('click', (e) => { if (e.target === modal) close(); });
+        window.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !modal.classList.contains('hidden')) close();
+        });
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initialize);
+    } else {
+        initialize();
+    }
+
+    window.ClassGroupingEditor = {
+        open: open,
+        close: close
+    };
+
+})();
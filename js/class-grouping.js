@@ -0,0 +1,244 @@
+/**
+ * Class grouping presets
+ * Maps full Yao taxonomy labels to named groups by prefix or regex rules.
+ * Used by the Sankey, the counts charts and the Spatial Viewer legend.
+ * Presets are stored in localStorage and can be exported/imported as JSON.
+ */
+
+(function() {
+    'use strict';
+
+    const STORAGE_KEY = 'pciSeqDashboard.classGroupings';
+
+    // Built-in preset reproducing the original ten Sankey buckets
+    const DEFAULT_PRESET = {
+        name: 'Default',
+        builtin: true,
+        fallback: 'Other',
+        groups: [
+            { name: 'Astro', color: '#17becf', rules: [{ type: 'prefix', pattern: '319 Astro' }] },
+            { name: 'CA1',   color: '#1f77b4', rules: [{ type: 'prefix', pattern: '016 CA1' }] },
+            { name: 'CA2',   color: '#ff7f0e', rules: [{ type: 'prefix', pattern: '025 CA2' }] },
+            { name: 'CA3',   color: '#9467bd', rules: [{ type: 'prefix', pattern: '017 CA3' }] },
+            { name: 'DG',    color: '#2ca02c', rules: [{ type: 'prefix', pattern: '037 DG Glut' }, { type: 'prefix', pattern: '038 DG-PIR' }] },
+            { name: 'L5',    color: '#e377c2', rules: [{ type: 'prefix', pattern: '005 L5 IT' }, { type: 'prefix', pattern: '022 L5 ET' }, { type: 'prefix', pattern: '032 L5 NP' }] },
+            { name: 'L6',    color: '#bcbd22', rules: [{ type: 'prefix', pattern: '030 L6 CT' }, { type: 'prefix', pattern: '004 L6 IT' }, { type: 'prefix', pattern: '029 L6b CTX' }] },
+            { name: 'Oligo', color: '#8c564b', rules: [{ type: 'prefix', pattern: '327 Oligo' }] },
+            { name: 'Other', color: '#7f7f7f', rules: [] },
+            { name: 'Zero',  color: '#000000', rules: [{ type: 'prefix', pattern: 'Zero' }] }
+        ]
+    };
+
+    // User presets and the active preset name
+    let presets = [];
+    let activeName = DEFAULT_PRESET.name;
+
+    // Classifier of the active preset (label -> group name)
+    let activeClassifier = null;
+
+    // Change listeners (charts re-render when the active grouping changes)
+    const listeners = [];
+
+    function loadFromStorage() {
+        try {
+            const raw = window.localStorage && window.localStorage.getItem(STORAGE_KEY);
+            if (!raw) return;
+            const saved = JSON.parse(raw);
+            presets = (saved.presets || []).filter(p => validatePreset(p) === null);
+            if (saved.active && getPreset(saved.active)) activeName = saved.active;
+        } catch (error) {
+            console.warn('Could not read class groupings from localStorage:', error);
+        }
+    }
+
+    function saveToStorage() {
+        try {
+            if (!window.localStorage) return;
+            window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ active: activeName, presets }));
+        } catch (error) {
+            console.warn('Could not save class groupings to localStorage:', error);
+        }
+    }
+
+    // Returns an error message, or null if the preset is usable
+    function validatePreset(preset) {
+        if (!preset || typeof preset.name !== 'string' || !preset.name.trim()) return 'Preset needs a name.';
+        if (!Array.isArray(preset.groups) || preset.groups.length === 0) return `Preset "${preset.name}" has no groups.`;
+        const names = new Set();
+        for (const group of preset.groups) {
+            if (!group || typeof group.name !== 'string' || !group.name.trim()) return `Preset "${preset.name}" has a group without a name.`;
+            if (names.has(group.name)) return `Group "${group.name}" appears twice.`;
+            names.add(group.name);
+            for (const rule of (group.rules || [])) {
+                if (!rule || (rule.type !== 'prefix' && rule.type !== 'regex') || typeof rule.pattern !== 'string') {
+                    return `Group "${group.name}" has an invalid rule.`;
+                }
+                if (rule.type === 'regex') {
+                    try { new RegExp(rule.pattern); } catch (e) { return `Group "${group.name}": invalid regex ${rule.pattern}`; }
+                }
+            }
+        }
+        if (!preset.fallback || !names.has(preset.fallback)) return `Preset "${preset.name}" needs a fallback group that exists.`;
+        return null;
+    }
+
+    function getPresets() {
+        return [DEFAULT_PRESET, ...presets];
+    }
+
+    function getPreset(name) {
+        return getPresets().find(p => p.name === name) || null;
+    }
+
+    function getActivePreset() {
+        return getPreset(activeName) || DEFAULT_PRESET;
+    }
+
+    // Build a memoized label -> group name function for a preset.
+    // Groups are tried in display order; the first matching rule wins.
+    function createClassifier(preset) {
+        const matchers = preset.groups.map(group => ({
+            group: group.name,
+            tests: (group.rules || []).map(rule => {
+                if (rule.type === 'regex') {
+                    const re = new RegExp(rule.pattern);
+                    return label => re.test(label);
+                }
+                return label => label.startsWith(rule.pattern);
+            })
+        }));
+        const memo = new Map();
+
+        return function(label) {
+            if (!label || typeof label !== 'string') return preset.fallback;
+            if (memo.has(label)) return memo.get(label);
+
+            let result = preset.fallback;
+            for (const entry of matchers) {
+                if (entry.tests.some(test => test(label))) {
+                    result = entry.group;
+                    break;
+                }
+            }
+            memo.set(label, result);
+            return result;
+        };
+    }
+
+    function compile() {
+        activeClassifier = createClassifier(getActivePreset());
+    }
+
+    // Group name of a full class label under the active preset
+    function classify(label) {
+        if (!activeClassifier) compile();
+        return activeClassifier(label);
+    }
+
+    // Group names in display order
+    function getGroupOrder() {
+        return getActivePreset().groups.map(g => g.name);
+    }
+
+    function getGroupColor(name) {
+        const group = getActivePreset().groups.find(g => g.name === name);
+        return group ? group.color : '#999999';
+    }
+
+    // True while the built-in buckets are active (precomputed transitions use them)
+    function isDefaultActive() {
+        return getActivePreset() === DEFAULT_PRESET;
+    }
+
+    function notify() {
+        listeners.forEach(fn => {
+            try { fn(); } catch (e) { console.warn('Class grouping listener failed:', e); }
+        });
+    }
+
+    function setActive(name) {
+        if (!getPreset(name)) return;
+        activeName = name;
+        compile();
+        saveToStorage();
+        notify();
+    }
+
+    // Add or replace a user preset (built-in preset cannot be overwritten)
+    function savePreset(preset) {
+        const error = validatePreset(preset);
+        if (error) throw new Error(error);
+        if (preset.name === DEFAULT_PRESET.name) throw new Error(`"${DEFAULT_PRESET.name}" is built in; save under another name.`);
+        const clean = {
+            name: preset.name.trim(),
+            fallback: preset.fallback,
+            groups: preset.groups.map(g => ({
+                name: g.name.trim(),
+                color: g.color || '#999999',
+                rules: (g.rules || []).map(r => ({ type: r.type, pattern: r.pattern }))
+            }))
+        };
+        const idx = presets.findIndex(p => p.name === clean.name);
+        if (idx >= 0) presets[idx] = clean;
+        else presets.push(clean);
+        if (activeName === clean.name) compile();
+        saveToStorage();
+        if (activeName === clean.name) notify();
+        return clean;
+    }
+
+    function deletePreset(name) {
+        presets = presets.filter(p => p.name !== name);
+        if (activeName === name) {
+            activeName = DEFAULT_PRESET.name;
+            compile();
+            notify();
+        }
+        saveToStorage();
+    }
+
+    // JSON text for a file export of the given presets (default: all user presets)
+    function exportPresets(names) {
+        const selected = names ? presets.filter(p => names.includes(p.name)) : presets;
+        return JSON.stringify({ presets: selected }, null, 2);
+    }
+
+    // Import presets from JSON text ({presets: [...]} or a single preset); returns their names
+    function importPresets(text) {
+        const parsed = JSON.parse(text);
+        const incoming = Array.isArray(parsed.presets) ? parsed.presets : [parsed];
+        const imported = [];
+        incoming.forEach(preset => {
+            if (preset && preset.name === DEFAULT_PRESET.name) preset = Object.assign({}, preset, { name: `${preset.name} (imported)` });
+            imported.push(savePreset(preset).name);
+        });
+        return imported;
+    }
+
+    function onChange(fn) {
+        listeners.push(fn);
+    }
+
+    loadFromStorage();
+    compile();
+
+    // Export functions
+    window.ClassGrouping = {
+        classify: classify,
+        createClassifier: createClassifier,
+        getGroupOrder: getGroupOrder,
+        getGroupColor: getGroupColor,
+        isDefaultActive: isDefaultActive,
+        getPresets: getPresets,
+        getPreset: getPreset,
+        getActivePreset: getActivePreset,
+        setActive: setActive,
+        savePreset: savePreset,
+        deletePreset: deletePreset,
+        validatePreset: validatePreset,
+        exportPresets: exportPresets,
+        importPresets: importPresets,
+        onChange: onChange
+    };
+
+})();
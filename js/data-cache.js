@@ -0,0 +1,159 @@
+/**
+ * Shared Data Cache
+ * One in-memory cache for everything loaded from data/ (run aggregates, cell
+ * files) and derived from it (threshold aggregates), used by the charts and
+ * the Spatial Viewer alike. Entries are evicted least recently used first once
+ * their estimated size exceeds the memory budget.
+ *
+ * Keys: `aggregate:${runId}`, `cells:${runId}`, `threshold:${runId}|${value}`
+ */
+
+(function() {
+    'use strict';
+
+    const DEFAULT_BUDGET_BYTES = 300 * 1024 * 1024;
+
+    // Prefetching stops once the cache is this full, so it never evicts data in use
+    const PREFETCH_FILL_LIMIT = 0.8;
+
+    // key -> { promise, value, size }; Map order is least to most recently used
+    const entries = new Map();
+    let budgetBytes = DEFAULT_BUDGET_BYTES;
+    let usedBytes = 0;
+
+    function touch(key, entry) {
+        entries.delete(key);
+        entries.set(key, entry);
+    }
+
+    function remove(key) {
+        const entry = entries.get(key);
+        if (!entry) return;
+        usedBytes -= entry.size;
+        entries.delete(key);
+    }
+
+    // Drop least recently used loaded entries until the budget holds
+    // (the newest entry always stays, even when it alone exceeds the budget)
+    function evict() {
+        for (const [key, entry] of entries) {
+            if (usedBytes <= budgetBytes || entries.size <= 1) break;
+            if (entry.value !== undefined) remove(key);
+        }
+    }
+
+    // Cached value of a key, loading it with load() on a miss. sizeOf(value)
+    // estimates its memory in bytes. Failed and aborted loads are not cached;
+    // a caller that joined a load aborted by someone else starts a new one.
+    function get(key, load, sizeOf = () => 0, signal = null) {
+        const cached = entries.get(key);
+        if (cached) {
+            touch(key, cached);
+            return cached.promise.catch(error => {
+                if (error.name === 'AbortError' && !(signal && signal.aborted)) return get(key, load, sizeOf, signal);
+                throw error;
+            });
+        }
+
+        const entry = { promise: null, value: undefined, size: 0 };
+        entry.promise = Promise.resolve()
+            .then(load)
+            .then(value => {
+                // The entry may have been cleared while loading
+                if (entries.get(key) === entry) {
+                    entry.value = value;
+                    entry.size = sizeOf(value) || 0;
+                    usedBytes += entry.size;
+                    evict();
+                }
+                return value;
+            })
+            .catch(error => {
+                if (entries.get(key) === entry) entries.delete(key);
+                throw error;
+            });
+        entries.set(key, entry);
+        return entry.promise;
+    }
+
+    // Loaded value of a key without loading or changing its recency (undefined if absent)
+    function peek(key) {
+        const entry = entries.get(key);
+        return entry ? entry.value : undefined;
+    }
+
+    function has(key) {
+        return entries.has(key);
+    }
+
+    // Start a background load of a key (start() returns its cached promise)
+    // while there is room; errors are ignored
+    function prefetch(key, start) {
+        if (entries.has(key) || usedBytes > budgetBytes * PREFETCH_FILL_LIMIT) return Promise.resolve();
+        return start().then(() => {}, () => {});
+    }
+
+    function setBudget(bytes) {
+        budgetBytes = Math.max(0, Number(bytes) || DEFAULT_BUDGET_BYTES);
+        evict();
+    }
+
+    function clear() {
+        entries.clear();
+        usedBytes = 0;
+    }
+
+    function getStats() {
+        return { entries: entries.size, usedBytes, budgetBytes };
+    }
+
+    async function fetchJSONWithSize(path, signal) {
+        const response = await fetch(path, { signal });
+        if (!response.ok) {
+            throw new Error(`Failed to load ${path}`);
+        }
+        const text = await response.text();
+        return { value: JSON.parse(text), size: text.length * 2 };
+    }
+
+    // Run aggregate (data/run_N.json); options.signal aborts the fetch
+    function loadRunAggregate(runId, options = {}) {
+        let size = 0;
+        return get(`aggregate:${runId}`, async () => {
+            const result = await fetchJSONWithSize(`data/${runId}.json`, options.signal);
+            size = result.size;
+            return result.value;
+        }, () => size, options.signal);
+    }
+
+    // Cell table of a run (see js/cell-table.js), with cells tagged by region
+    // when region boundaries are available
+    function loadCellsData(runId, options = {}) {
+        return get(`cells:${runId}`, async () => {
+            const table = await CellFormat.fetchRunCells(runId, options);
+            const regions = window.SpatialViewer && window.SpatialViewer.regions;
+            if (regions) await regions.tagCells(table);
+            return table;
+        }, table => CellTable.byteSize(table), options.signal);
+    }
+
+    function prefetchRun(runId) {
+        return prefetch(`aggregate:${runId}`, () => loadRunAggregate(runId))
+            .then(() => prefetch(`cells:${runId}`, () => loadCellsData(runId)));
+    }
+
+    window.DataCache = {
+        get: get,
+        peek: peek,
+        has: has,
+        prefetch: prefetch,
+        prefetchRun: prefetchRun,
+        remove: remove,
+        clear: clear,
+        setBudget: setBudget,
+        getStats: getStats,
+        loadRunAggregate: loadRunAggregate,
+        loadCellsData: loadCellsData
+    };
+
+})();
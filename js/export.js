@@ -0,0 +1,300 @@
+/**
+ * Export
+ * Saves the comparison data (metrics table, per-region class counts of both
+ * runs, Sankey transitions) as CSV or JSON, the Plotly charts as PNG or SVG,
+ * the Spatial Viewer as PNG, and everything at once as a zip.
+ *
+ * Menu buttons carry data-export="data|figure|spatial|all", plus data-target
+ * (dataset key or chart element id) and data-format.
+ */
+
+(function() {
+    'use strict';
+
+    const REGIONS = ['ca1', 'ca2', 'ca3', 'dg'];
+
+    // PNG scale factor over the on-screen size (about 300 dpi for a full-width figure)
+    const PNG_SCALE = 3;
+    const DEFAULT_FIGURE_SIZE = { width: 1000, height: 500 };
+
+    // Plotly charts: element id -> file name prefix
+    const FIGURES = {
+        purityChart: 'purity',
+        baseCountsChart: 'counts_reference',
+        altCountsChart: 'counts_selected',
+        thresholdCurveChart: 'purity_vs_threshold',
+        purityHeatmap: 'purity_heatmap',
+        sankeyChart: 'sankey',
+        sweepPurityChart: 'sweep_purity',
+        sweepHighGeneChart: 'sweep_purity_high_gene'
+    };
+
+    function round(value, digits = 3) {
+        if (value == null || !Number.isFinite(value)) return null;
+        const f = Math.pow(10, digits);
+        return Math.round(value * f) / f;
+    }
+
+    // File name stem of the current comparison, optionally region-specific
+    function fileStem(prefix, withRegion = false) {
+        const parts = [prefix, `${state.refRun}_vs_${state.currentRun}`];
+        if (withRegion) parts.push(state.currentRegion);
+        parts.push(`g${state.geneThreshold}`);
+        return parts.join('_');
+    }
+
+    function csvCell(value) {
+        if (value == null) return '';
+        const text = String(value);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    function toCsv(columns, rows) {
+        const lines = [columns.map(csvCell).join(',')];
+        rows.forEach(row => lines.push(columns.map(col => csvCell(row[col])).join(',')));
+        return lines.join('\n') + '\n';
+    }
+
+    // Runs, region, threshold and link of the comparison being exported
+    function getComparisonInfo() {
+        const refMeta = state.metadata.runs.find(r => r.id === state.refRun);
+        const altMeta = state.metadata.runs.find(r => r.id === state.currentRun);
+        return {
+            reference_run: state.refRun,
+            selected_run: state.currentRun,
+            reference_config: refMeta ? getRunConfig(refMeta) : {},
+            selected_config: altMeta ? getRunConfig(altMeta) : {},
+            region: state.currentRegion,
+            gene_threshold: state.geneThreshold,
+            class_grouping: ClassGrouping.getActivePreset().name,
+            expected_classes: Object.fromEntries(REGIONS.map(r => [r, RegionDefinitions.getExpectedClasses(r)])),
+            link: window.Permalink ? window.Permalink.getLink() : window.location.href,
+            exported_at: new Date().toISOString()
+        };
+    }
+
+    // Metrics table: purity per region for both runs
+    async function buildMetrics() {
+        await loadCurrentThresholdAggregates();
+        const rows = REGIONS.map(region => {
+            const refPurity = getRegionPurity(state.refData, region);
+            const altPurity = getRegionPurity(state.altData, region);
+            return {
+                region: region,
+                expected_classes: RegionDefinitions.getExpectedClasses(region).join('; '),
+                custom_definition: !RegionDefinitions.isDefault(region),
+                gene_threshold: state.geneThreshold,
+                reference_run: state.refRun,
+                reference_purity: round(refPurity),
+                selected_run: state.currentRun,
+                selected_purity: round(altPurity),
+                change: (refPurity != null && altPurity != null) ? round(altPurity - refPurity) : null,
+                reference_shipped_purity: round(getShippedRegionPurity(state.refData, region)),
+                selected_shipped_purity: round(getShippedRegionPurity(state.altData, region))
+            };
+        });
+        return {
+            columns: Object.keys(rows[0]),
+            rows: rows,
+            json: { comparison: getComparisonInfo(), note: getPurityUnavailableNote() || null, regions: rows }
+        };
+    }
+
+    // Full-class counts per region for both runs (whole section when the cells
+    // carry no region labels at this threshold)
+    async function buildCounts() {
+        await loadCurrentThresholdAggregates();
+        const runs = [
+            { role: 'reference', runId: state.refRun, data: state.refData },
+            { role: 'selected', runId: state.currentRun, data: state.altData }
+        ];
+        const rows = [];
+        const json = { comparison: getComparisonInfo(), runs: {} };
+
+        runs.forEach(run => {
+            const scopes = {};
+            REGIONS.forEach(region => {
+                const block = getThresholdRegionBlock(run.data, region);
+                if (block) scopes[region] = block;
+            });
+            if (Object.keys(scopes).length === 0) {
+                const section = getThresholdSectionBlock(run.data);
+                if (section) scopes.section = section;
+            }
+
+            json.runs[run.role] = { run: run.runId, scopes: {} };
+            Object.entries(scopes).forEach(([scope, block]) => {
+                const counts = block.cell_type_counts || {};
+                json.runs[run.role].scopes[scope] = { total_cells: block.total_cells, cell_type_counts: counts };
+                Object.entries(counts).sort((a, b) => b[1] - a[1]).forEach(([label, count]) => {
+                    rows.push({
+                        role: run.role,
+                        run: run.runId,
+                        scope: scope,
+                        gene_threshold: state.geneThreshold,
+                        class: label,
+                        count: count,
+                        total_cells: block.total_cells,
+                        fraction: block.total_cells > 0 ? round(count / block.total_cells, 5) : null
+                    });
+                });
+            });
+        });
+
+        return {
+            columns: ['role', 'run', 'scope', 'gene_threshold', 'class', 'count', 'total_cells', 'fraction'],
+            rows: rows,
+            json: json
+        };
+    }
+
+    // Class-group flows drawn in the Sankey for the current comparison
+    async function buildSankey() {
+        const isCurrent = s => s && s.region === state.currentRegion && s.refRun === state.refRun
+            && s.currentRun === state.currentRun && s.geneThreshold === state.geneThreshold;
+        if (!isCurrent(state.sankeyTransitions)) await renderSankeyChart();
+        const sankey = isCurrent(state.sankeyTransitions) ? state.sankeyTransitions : null;
+
+        const rows = (sankey ? sankey.transitions : []).map(t => ({
+            region: state.currentRegion,
+            gene_threshold: state.geneThreshold,
+            reference_run: state.refRun,
+            from: t.from,
+            selected_run: state.currentRun,
+            to: t.to,
+            count: t.count
+        }));
+        return {
+            columns: ['region', 'gene_threshold', 'reference_run', 'from', 'selected_run', 'to', 'count'],
+            rows: rows,
+            json: {
+                comparison: getComparisonInfo(),
+                note: (sankey && sankey.note) || null,
+                transitions: sankey ? sankey.transitions : []
+            }
+        };
+    }
+
+    // Datasets: key -> { build, withRegion }
+    const DATASETS = {
+        metrics: { build: buildMetrics, withRegion: false },
+        counts: { build: buildCounts, withRegion: false },
+        sankey: { build: buildSankey, withRegion: true }
+    };
+
+    async function buildDataFile(key, format) {
+        const dataset = DATASETS[key];
+        const result = await dataset.build();
+        const name = `${fileStem(key, dataset.withRegion)}.${format}`;
+        if (format === 'json') {
+            return { name, blob: new Blob([JSON.stringify(result.json, null, 2)], { type: 'application/json' }) };
+        }
+        return { name, blob: new Blob([toCsv(result.columns, result.rows)], { type: 'text/csv' }) };
+    }
+
+    // Image of a rendered Plotly chart at its on-screen size (null when not drawn)
+    async function buildFigureFile(elementId, format) {
+        const el = document.getElementById(elementId);
+        if (!el || !el.data || el.data.length === 0) return null;
+        const layout = el._fullLayout || {};
+        const width = el.offsetWidth || layout.width || DEFAULT_FIGURE_SIZE.width;
+        const height = el.offsetHeight || layout.height || DEFAULT_FIGURE_SIZE.height;
+
+        const url = await Plotly.toImage(el, {
+            format: format,
+            width: width,
+            height: height,
+            scale: format === 'png' ? PNG_SCALE : 1
+        });
+        const blob = await (await fetch(url)).blob();
+        const withRegion = ['baseCountsChart', 'altCountsChart', 'thresholdCurveChart', 'sankeyChart'].includes(elementId);
+        return { name: `${fileStem(FIGURES[elementId], withRegion)}.${format}`, blob };
+    }
+
+    // PNG of the Spatial Viewer with legend and scale bar (null when not loaded)
+    async function buildSpatialFile() {
+        const viewer = window.SpatialViewer;
+        if (!viewer || !viewer.snapshot) return null;
+        const blob = await viewer.snapshot.toBlob();
+        if (!blob) return null;
+        const sv = viewer.state;
+        const runs = sv.splitView && sv.reference.runId ? `${sv.reference.runId}_vs_${sv.currentRun}` : sv.currentRun;
+        return { name: `spatial_${runs}_g${state.geneThreshold}.png`, blob };
+    }
+
+    // Every dataset, drawn chart and the spatial view in one zip
+    async function buildZip() {
+        if (typeof JSZip === 'undefined') throw new Error('JSZip is not loaded');
+        const zip = new JSZip();
+        const add = file => { if (file) zip.file(file.name, file.blob); };
+
+        zip.file('comparison.json', JSON.stringify(getComparisonInfo(), null, 2));
+        for (const key of Object.keys(DATASETS)) {
+            add(await buildDataFile(key, 'csv'));
+            add(await buildDataFile(key, 'json'));
+        }
+        for (const id of Object.keys(FIGURES)) {
+            add(await buildFigureFile(id, 'svg'));
+            add(await buildFigureFile(id, 'png'));
+        }
+        add(await buildSpatialFile());
+
+        const blob = await zip.generateAsync({ type: 'blob' });
+        return { name: `${fileStem('comparison', true)}.zip`, blob };
+    }
+
+    function buildFile(kind, target, format) {
+        if (kind === 'data') return buildDataFile(target, format);
+        if (kind === 'figure') return buildFigureFile(target, format);
+        if (kind === 'spatial') return buildSpatialFile();
+        if (kind === 'all') return buildZip();
+        return Promise.resolve(null);
+    }
+
+    // Run an export from a menu button, with brief feedback on the button
+    async function onExportClick(event) {
+        const button = event.target.closest('[data-export]');
+        if (!button || button.disabled || !state.altData) return;
+        const label = button.textContent;
+        button.disabled = true;
+        button.textContent = 'Exporting…';
+
+        let feedback = label;
+        try {
+            const file = await buildFile(button.dataset.export, button.dataset.target, button.dataset.format);
+            if (file) {
+                downloadBlob(file.name, file.blob);
+            } else {
+                feedback = 'Nothing to export';
+            }
+        } catch (error) {
+            console.error('Export failed:', error);
+            feedback = 'Export failed';
+        }
+
+        button.textContent = feedback;
+        button.disabled = false;
+        const menu = button.closest('details.export-menu');
+        if (menu) menu.open = false;
+        if (feedback !== label) setTimeout(() => { button.textContent = label; }, 1500);
+    }
+
+    function setup() {
+        document.addEventListener('click', onExportClick);
+
+        // Close open menus when clicking elsewhere
+        document.addEventListener('click', (event) => {
+            document.querySelectorAll('details.export-menu[open]').forEach(menu => {
+                if (!menu.contains(event.target)) menu.open = false;
+            });
+        });
+    }
+
+    setup();
+
+    window.DashboardExport = {
+        buildFile: buildFile,
+        toCsv: toCsv
+    };
+
+})();
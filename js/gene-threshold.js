@@ -0,0 +1,274 @@
+// Gene-count threshold shared by every chart
+// Thresholds 0 and metadata.min_gene_counts are read from the precomputed run
+// aggregates (all cells / high_gene_count). Any other value is recomputed from
+// the runs' _cells.json: per region when the cells carry region labels,
+// otherwise only for the whole section.
+
+const GENE_THRESHOLD_MAX = 200;
+const GENE_THRESHOLD_CURVE_STEP = 5;
+
+// Rough memory of a recomputed aggregate (class counts only)
+const THRESHOLD_AGGREGATE_BYTES = 16 * 1024;
+
+// Set while a recomputed aggregate is loading; charts re-render once it lands
+let thresholdRefreshPending = false;
+
+// Threshold of the precomputed high_gene_count blocks
+function getHighGeneCutoff() {
+    return (state.metadata && typeof state.metadata.min_gene_counts === 'number')
+        ? state.metadata.min_gene_counts
+        : 40;
+}
+
+// Precomputed block for a threshold: 'all', 'high_gene' or null (cells needed)
+function getPrecomputedFilterKey(threshold = state.geneThreshold) {
+    if (threshold <= 0) return 'all';
+    if (threshold === getHighGeneCutoff()) return 'high_gene';
+    return null;
+}
+
+function passesGeneThreshold(table, i, threshold) {
+    return threshold <= 0 || table.columns.gene_counts[i] >= threshold;
+}
+
+// Class counts of the cells of a table passing the threshold, per region (null
+// when the cells carry no region labels) and for the whole section
+function aggregateCellsAtThreshold(table, threshold) {
+    const hasRegions = CellTable.hasRegions(table);
+    const regions = hasRegions ? {} : null;
+    const section = { total_cells: 0, cell_type_counts: {} };
+
+    const add = (block, label) => {
+        block.total_cells++;
+        block.cell_type_counts[label] = (block.cell_type_counts[label] || 0) + 1;
+    };
+
+    for (let i = 0; i < table.count; i++) {
+        if (!passesGeneThreshold(table, i, threshold)) continue;
+        const label = CellTable.getClass(table, i);
+        add(section, label);
+        const region = hasRegions ? CellTable.getRegion(table, i) : null;
+        if (region !== null) {
+            if (!regions[region]) regions[region] = { total_cells: 0, cell_type_counts: {} };
+            add(regions[region], label);
+        }
+    }
+
+    return { regions, section };
+}
+
+function thresholdAggregateKey(runId, threshold) {
+    return `threshold:${runId}|${threshold}`;
+}
+
+// Start (or reuse) the recomputation of a run's aggregate at a threshold
+function loadThresholdAggregate(runId, threshold) {
+    return DataCache.get(
+        thresholdAggregateKey(runId, threshold),
+        () => loadRunCells(runId).then(table => aggregateCellsAtThreshold(table, threshold)),
+        () => THRESHOLD_AGGREGATE_BYTES
+    );
+}
+
+// Wait for the reference and selected runs' aggregates at the current threshold
+// (no-op at the precomputed cut-offs; failures leave the values unavailable)
+async function loadCurrentThresholdAggregates() {
+    if (getPrecomputedFilterKey() !== null) return;
+    await Promise.all([state.refRun, state.currentRun].map(runId =>
+        loadThresholdAggregate(runId, state.geneThreshold).catch(() => null)));
+}
+
+// Recomputed aggregate if already available; otherwise start loading it and
+// re-render all charts when it arrives
+function getThresholdAggregate(runId, threshold) {
+    const cached = DataCache.peek(thresholdAggregateKey(runId, threshold));
+    if (cached) return cached;
+
+    loadThresholdAggregate(runId, threshold)
+        .then(() => {
+            if (thresholdRefreshPending) return;
+            thresholdRefreshPending = true;
+            setTimeout(() => {
+                thresholdRefreshPending = false;
+                if (state.geneThreshold === threshold) updateAllCharts();
+            }, 0);
+        })
+        .catch(err => console.error(`Failed to recompute ${runId} at threshold ${threshold}:`, err));
+    return null;
+}
+
+// Region block ({total_cells, cell_type_counts[, purity]}) of a run at the
+// current threshold. Returns null while loading or when the cells carry no
+// region labels.
+function getThresholdRegionBlock(runData, region) {
+    const filterKey = getPrecomputedFilterKey();
+    const data = runData.regions[region];
+    if (filterKey === 'all') return data;
+    if (filterKey === 'high_gene') return data.high_gene_count;
+
+    const aggregate = getThresholdAggregate(runData.run_id, state.geneThreshold);
+    if (!aggregate || !aggregate.regions) return null;
+    return aggregate.regions[region] || { total_cells: 0, cell_type_counts: {} };
+}
+
+// Whole-section counts at the current threshold (null while loading)
+function getThresholdSectionBlock(runData) {
+    const aggregate = getThresholdAggregate(runData.run_id, state.geneThreshold);
+    return aggregate ? aggregate.section : null;
+}
+
+// Whether a run's recomputed aggregate at the current threshold is still loading
+function isThresholdAggregateLoading(runData) {
+    if (getPrecomputedFilterKey() !== null) return false;
+    return !DataCache.peek(thresholdAggregateKey(runData.run_id, state.geneThreshold));
+}
+
+// Apply a new threshold everywhere
+function setGeneThreshold(value) {
+    const threshold = Math.max(0, Math.min(GENE_THRESHOLD_MAX, Math.round(Number(value) || 0)));
+    state.geneThreshold = threshold;
+
+    document.querySelectorAll('.gene-threshold-slider').forEach(slider => {
+        if (Number(slider.value) !== threshold) slider.value = threshold;
+    });
+    updateGeneThresholdLabels(threshold);
+
+    updateAllCharts();
+    const sweepTab = document.getElementById('sweepTabContent');
+    if (sweepTab && sweepTab.classList.contains('active')) {
+        renderSweepCharts().catch(e => console.warn('Failed to render sweep charts:', e));
+    }
+
+    // Spatial Viewer filters its points with the same threshold
+    try {
+        if (window.SpatialViewer && window.SpatialViewer.state) {
+            window.SpatialViewer.state.useGeneFilter = threshold > 0;
+            window.SpatialViewer.state.minGeneCount = threshold;
+            if (typeof window.SpatialViewer.render === 'function') {
+                window.SpatialViewer.render();
+            }
+            if (typeof window.SpatialViewer.updateLegend === 'function') {
+                window.SpatialViewer.updateLegend();
+            }
+        }
+    } catch (_) {}
+}
+
+function updateGeneThresholdLabels(threshold) {
+    const text = threshold > 0 ? `≥${threshold} counts` : 'All cells';
+    document.querySelectorAll('.gene-threshold-value').forEach(el => { el.textContent = text; });
+    document.querySelectorAll('.gene-threshold-preset').forEach(btn => {
+        btn.classList.toggle('active', Number(btn.dataset.threshold) === threshold);
+    });
+}
+
+// Wire the threshold sliders (label follows while dragging, charts on release)
+function setupGeneThresholdControls() {
+    const cutoff = getHighGeneCutoff();
+    document.querySelectorAll('.gene-threshold-slider').forEach(slider => {
+        slider.max = GENE_THRESHOLD_MAX;
+        slider.value = state.geneThreshold;
+        slider.addEventListener('input', () => updateGeneThresholdLabels(Number(slider.value)));
+        slider.addEventListener('change', () => setGeneThreshold(slider.value));
+    });
+    document.querySelectorAll('.gene-threshold-preset').forEach(btn => {
+        if (btn.dataset.threshold === 'cutoff') {
+            btn.dataset.threshold = String(cutoff);
+            btn.textContent = `≥${cutoff}`;
+        }
+        btn.addEventListener('click', () => setGeneThreshold(btn.dataset.threshold));
+    });
+    updateGeneThresholdLabels(state.geneThreshold);
+}
+
+// Incremented on every curve render so late results are dropped
+let thresholdCurveToken = 0;
+
+// Purity of the current region vs threshold for the reference and selected runs.
+// Uses every threshold when cells carry region labels, otherwise only the two
+// precomputed cut-offs.
+async function renderThresholdCurve() {
+    const container = document.getElementById('thresholdCurveChart');
+    if (!container || !state.altData) return;
+
+    const region = state.currentRegion;
+    const token = ++thresholdCurveToken;
+    const message = document.getElementById('thresholdCurveMessage');
+    const setMessage = (text) => {
+        if (!message) return;
+        message.textContent = text || '';
+        message.classList.toggle('hidden', !text);
+    };
+
+    const runs = [
+        { runId: state.refRun, data: state.refData, name: `${state.refRun} (reference)`, color: '#8b5cf6' },
+        { runId: state.currentRun, data: state.altData, name: `${state.currentRun} (selected)`, color: '#3b82f6' }
+    ];
+
+    let tablesByRun = null;
+    try {
+        tablesByRun = await Promise.all(runs.map(run => loadRunCells(run.runId)));
+    } catch (err) {
+        console.warn('Threshold curve: cell files failed to load, using precomputed cut-offs only:', err);
+    }
+    if (token !== thresholdCurveToken) return;
+
+    const perCell = tablesByRun && tablesByRun.every(table => CellTable.hasRegions(table));
+    const thresholds = [];
+    if (perCell) {
+        for (let t = 0; t <= GENE_THRESHOLD_MAX; t += GENE_THRESHOLD_CURVE_STEP) thresholds.push(t);
+    } else {
+        thresholds.push(0, getHighGeneCutoff());
+    }
+
+    const traces = runs.map((run, i) => {
+        let ys;
+        if (perCell) {
+            const table = tablesByRun[i];
+            const regionRows = [];
+            for (let row = 0; row < table.count; row++) {
+                if (CellTable.getRegion(table, row) === region) regionRows.push(row);
+            }
+            ys = thresholds.map(t => {
+                let total = 0;
+                let correct = 0;
+                regionRows.forEach(row => {
+                    if (!passesGeneThreshold(table, row, t)) return;
+                    total++;
+                    if (RegionDefinitions.isExpected(region, CellTable.getClass(table, row))) correct++;
+                });
+                return total > 0 ? correct / total * 100 : null;
+            });
+        } else {
+            const data = run.data.regions[region];
+            ys = [RegionDefinitions.computePurity(region, data), RegionDefinitions.computePurity(region, data.high_gene_count)];
+        }
+        return {
+            type: 'scatter',
+            mode: perCell ? 'lines' : 'lines+markers',
+            name: run.name,
+            x: thresholds,
+            y: ys,
+            line: { color: run.color, dash: perCell ? 'solid' : 'dot' },
+            hovertemplate: `≥%{x} counts: %{y:.1f}%<extra>${run.name}</extra>`
+        };
+    });
+
+    const layout = {
+        xaxis: { title: 'Gene-count threshold', range: [0, GENE_THRESHOLD_MAX], automargin: true },
+        yaxis: { title: `${REGION_NAMES[region]} purity (%)`, range: [0, 100], automargin: true },
+        shapes: [{
+            type: 'line', xref: 'x', yref: 'paper',
+            x0: state.geneThreshold, x1: state.geneThreshold, y0: 0, y1: 1,
+            line: { color: '#e53e3e', width: 1, dash: 'dash' }
+        }],
+        legend: { orientation: 'h', y: -0.25 },
+        height: 300,
+        margin: { l: 50, r: 10, t: 10, b: 40 }
+    };
+
+    Plotly.newPlot(container, traces, layout, {responsive: true});
+    setMessage(perCell
+        ? ''
+        : `Cells carry no region labels, so ${REGION_NAMES[region]} purity is only known at the precomputed cut-offs (0 and ${getHighGeneCutoff()}).`);
+}
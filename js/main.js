@@ -8,11 +8,14 @@ const state = {
     baseData: null,
     altData: null,
     currentRun: null,
+    refData: null,   // Left-hand side of every comparison (base run by default)
+    refRun: null,
     currentRegion: 'ca1',
-    currentFilter: 'all',  // 'all' or 'high_gene'
+    geneThreshold: 0,  // Minimum gene_counts per cell for every chart (0 = all cells)
+    countsGrouped: false,  // Counts charts by class group instead of full class
+    sankeyTransitions: null,  // Flows drawn in the Sankey, kept for export
     cellColors: null,  // Will hold the color scheme
     spatial: {
-        cache: {},
         currentRun: null,
         zValues: [],
         currentZ: 0,
@@ -25,57 +28,12 @@ const state = {
     }
 };
 
-// Parameter configuration
-const PARAM_CONFIG = {
-    inefficiency: {
-        default: 0.1,
-        values: [0.001, 0.005, 0.01, 0.05, 0.1, 0.5, 1.0],
-        displayName: 'Inefficiency'
-    },
-    misreadDensity: {
-        default: 1e-05,
-        values: [1e-06, 5e-06, 1e-05, 5e-05, 1e-04],
-        displayName: 'MisreadDensity'
-    },
-    spotReg: {
-        default: 0.1,
-        values: [0.001, 0.01, 0.1, 0.5, 1.0],
-        displayName: 'SpotReg'
-    },
-    rSpot: {
-        default: 2.0,
-        values: [0.5, 1.0, 2.0, 5.0, 10.0],
-        displayName: 'rSpot'
-    }
-};
+// Parameter configuration, built at startup from runs_metadata.json
+// { [parameter]: { default, values, displayName } }
+const PARAM_CONFIG = {};
 
-// Run mapping: configuration -> run_id
-const RUN_MAPPING = {
-    // All defaults -> run_0
-    'default': 'run_0',
-    // Inefficiency variations
-    'inefficiency:0.001': 'run_6',
-    'inefficiency:0.005': 'run_5',
-    'inefficiency:0.01': 'run_4',
-    'inefficiency:0.05': 'run_3',
-    'inefficiency:0.5': 'run_1',
-    'inefficiency:1.0': 'run_2',
-    // MisreadDensity variations
-    'misreadDensity:1e-06': 'run_8',
-    'misreadDensity:5e-06': 'run_7',
-    'misreadDensity:5e-05': 'run_9',
-    'misreadDensity:1e-04': 'run_10',
-    // SpotReg variations
-    'spotReg:0.001': 'run_11',
-    'spotReg:0.01': 'run_12',
-    'spotReg:0.5': 'run_13',
-    'spotReg:1.0': 'run_14',
-    // rSpot variations
-    'rSpot:0.5': 'run_15',
-    'rSpot:1.0': 'run_16',
-    'rSpot:5.0': 'run_17',
-    'rSpot:10.0': 'run_18'
-};
+// Run mapping: configuration signature -> run_id (see configSignature)
+const RUN_MAPPING = {};
 
 // Region display names
 const REGION_NAMES = {
@@ -161,6 +119,11 @@ async function init() {
 
         // Load metadata
         state.metadata = await loadJSON('data/runs_metadata.json');
+        CellFormat.setPreferredFormat(state.metadata.cells_format);
+
+        // Build hyperparameter controls and run lookup from the metadata
+        buildParameterIndex(state.metadata);
+        renderParameterControls();
 
         // Load base run data
         state.baseData = await loadJSON(`data/${state.metadata.base_run}.json`);
@@ -168,14 +131,22 @@ async function init() {
         // Load color scheme
         state.cellColors = await loadJSON('data/cell_colour_scheme_yao.json');
 
+        // Reference run defaults to the base run
+        state.refRun = state.metadata.base_run;
+        state.refData = state.baseData;
+
         // Populate run selector
         populateRunSelector();
         populateSpatialRunSelector();
+        populateReferenceRunSelector();
 
             // Set up event listeners
             setupEventListeners();
             setupSpatialEventListeners();
             setupTabEventListeners();
+            setupPurityHeatmap();
+            setupSweepCharts();
+            updateChipAvailability();
 
             // Default view: render base vs base on first load
             state.altData = state.baseData;
@@ -195,13 +166,27 @@ async function init() {
             // Render charts immediately
             updateOverviewCharts();
             updateRegionalCharts();
+            renderPurityHeatmap();
 
             // Load spatial geometry for base run and render deck.gl viewer
-            try { syncSpatialRun(state.currentRun); } catch (_) {}
+            try {
+                if (window.SpatialViewer) {
+                    window.SpatialViewer.state.baseRunId = state.metadata.base_run;
+                    window.SpatialViewer.state.sweeps = getSweepGroups();
+                }
+                syncSpatialRun(state.currentRun);
+            } catch (_) {}
+            syncSpatialReference(state.refRun);
 
             // Show content
             showLoading(false);
             showNoDataMessage(false);
+
+            // Restore a shared view from the URL hash (then track changes there)
+            if (window.Permalink) await window.Permalink.start();
+
+            // Warm the cache with the runs one chip away
+            prefetchNeighbourRuns(getCurrentConfig());
         
         } catch (error) {
             console.error('Failed to initialize dashboard:', error);
@@ -232,6 +217,11 @@ async function init() {
             document.querySelector(`.tab-button[data-tab="${tabId}"]`).classList.add('active');
             document.getElementById(`${tabId}TabContent`).classList.add('active');
 
+            // Sweep charts are only drawn while their tab is visible
+            if (tabId === 'sweep') {
+                renderSweepCharts().catch(e => console.warn('Failed to render sweep charts on tab switch:', e));
+            }
+
             // If switching to spatial tab, ensure spatial viewer is rendered
             if (tabId === 'flowchartSpatial') {
                 // Ensure flowchart lays out correctly after becoming visible
@@ -298,23 +288,86 @@ function populateSpatialRunSelector() {
     });
 }
 
+// Populate the reference run selector (base first, then all alternatives)
+function populateReferenceRunSelector() {
+    const select = document.getElementById('referenceRunSelect');
+    if (!select) return;
+    select.innerHTML = '';
+    const baseOpt = document.createElement('option');
+    baseOpt.value = state.metadata.base_run;
+    baseOpt.textContent = `${state.metadata.base_run} (base)`;
+    select.appendChild(baseOpt);
+    state.metadata.runs.forEach(run => {
+        const option = document.createElement('option');
+        option.value = run.id;
+        option.textContent = run.name;
+        select.appendChild(option);
+    });
+    select.value = state.refRun;
+}
+
+// Load a run aggregate (run_N.json) through the shared data cache;
+// an AbortSignal cancels the fetch
+function loadRunAggregate(runId, signal = null) {
+    if (runId === state.metadata.base_run && state.baseData) return Promise.resolve(state.baseData);
+    return DataCache.loadRunAggregate(runId, { signal });
+}
+
+// Handle reference run change
+async function onReferenceRunChange(event) {
+    const runId = event.target.value;
+    if (!runId || runId === state.refRun) return;
+
+    try {
+        const data = await loadRunAggregate(runId);
+        // Ignore if the user picked another reference while loading
+        if (event.target.value !== runId) return;
+        state.refRun = runId;
+        state.refData = data;
+        updateOverviewCharts();
+        updateRegionalCharts();
+        syncSpatialReference(runId);
+    } catch (error) {
+        console.error(`Failed to load reference run ${runId}:`, error);
+        alert(`Failed to load data for ${runId}`);
+        event.target.value = state.refRun;
+    }
+}
+
 // Set up event listeners
 function setupEventListeners() {
-    // Parameter radio buttons
-    const parameterGroups = ['inefficiency', 'misreadDensity', 'spotReg', 'rSpot'];
-
-    parameterGroups.forEach(paramName => {
-        const radios = document.querySelectorAll(`input[name="${paramName}"]`);
-        radios.forEach(radio => {
+    // Parameter radio buttons (generated by renderParameterControls)
+    Object.keys(PARAM_CONFIG).forEach(paramName => {
+        getParameterRadios(paramName).forEach(radio => {
             radio.addEventListener('change', (event) => {
                 if (event.target.checked) {
-                    // Pass both the string value (from HTML) and numeric value
-                    onParameterChange(paramName, event.target.value, parseFloat(event.target.value));
+                    onParameterChange(paramName);
                 }
             });
         });
     });
 
+    const referenceSelect = document.getElementById('referenceRunSelect');
+    if (referenceSelect) referenceSelect.addEventListener('change', onReferenceRunChange);
+
+    // Counts charts: full classes or class groups
+    const countsClassMode = document.getElementById('countsClassMode');
+    if (countsClassMode) {
+        countsClassMode.addEventListener('change', (e) => {
+            state.countsGrouped = e.target.value === 'grouped';
+            renderCountsCharts();
+        });
+    }
+
+    // Re-render everything that depends on the active class grouping
+    ClassGrouping.onChange(onClassGroupingChange);
+
+    // Purity views follow the expected classes per region
+    RegionDefinitions.onChange(onRegionDefinitionChange);
+
+    const resetBtn = document.getElementById('resetParameters');
+    if (resetBtn) resetBtn.addEventListener('click', resetAllParameters);
+
     // Region selectors (Overview + Flowchart) kept in sync
     const regionSelect = document.getElementById('regionSelect');
     const regionSelectFlow = document.getElementById('regionSelectFlow');
@@ -325,36 +378,8 @@ function setupEventListeners() {
         regionSelectFlow.addEventListener('change', (e) => onRegionChange(e, 'flow'));
     }
 
-    // Filter buttons
-    document.querySelectorAll('.filter-btn').forEach(btn => {
-        btn.addEventListener('click', () => {
-            const selected = btn.dataset.filter;
-            // Deactivate all
-            document.querySelectorAll('.filter-btn').forEach(b => b.classList.remove('active'));
-            // Activate all buttons matching the selected filter (sync across tabs)
-            document.querySelectorAll(`.filter-btn[data-filter="${selected}"]`).forEach(b => b.classList.add('active'));
-            state.currentFilter = selected;
-            // Update charts
-            updateAllCharts();
-            // Also apply to Spatial Viewer (filter by gene counts only for spatial points)
-            try {
-                if (window.SpatialViewer && window.SpatialViewer.state) {
-                    window.SpatialViewer.state.useGeneFilter = (selected === 'high_gene');
-                    // Use threshold from metadata if available
-                    const thr = (state && state.metadata && typeof state.metadata.min_gene_counts === 'number')
-                        ? state.metadata.min_gene_counts
-                        : 40;
-                    window.SpatialViewer.state.minGeneCount = thr;
-                    if (typeof window.SpatialViewer.render === 'function') {
-                        window.SpatialViewer.render();
-                    }
-                    if (typeof window.SpatialViewer.updateLegend === 'function') {
-                        window.SpatialViewer.updateLegend();
-                    }
-                }
-            } catch (_) {}
-        });
-    });
+    // Gene-count threshold sliders (Overview + Flowchart) kept in sync
+    setupGeneThresholdControls();
 }
 
 function setupSpatialEventListeners() {
@@ -448,79 +473,211 @@ function updateSpatialLegendCounts(cellsInView) {
     renderSpatialLegend(counts);
 }
 
-// Get current parameter configuration
-function getCurrentConfig() {
-    const config = {};
+// Normalize a config_diff value: unwrap {"default": x} wrappers used by
+// per-gene parameters (e.g. MisreadDensity) into the plain scalar
+function normalizeParamValue(value) {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        const keys = Object.keys(value);
+        if (keys.length === 1 && keys[0] === 'default') return value.default;
+    }
+    return value;
+}
 
-    // Get selected value for each parameter
-    const inefficiencyRadio = document.querySelector('input[name="inefficiency"]:checked');
-    const misreadDensityRadio = document.querySelector('input[name="misreadDensity"]:checked');
-    const spotRegRadio = document.querySelector('input[name="spotReg"]:checked');
-    const rSpotRadio = document.querySelector('input[name="rSpot"]:checked');
+// Canonical string key for a parameter value (so 1, 1.0 and "1.0" match)
+function paramValueKey(value) {
+    const v = normalizeParamValue(value);
+    if (typeof v === 'number') return String(v);
+    if (typeof v === 'string' && v.trim() !== '' && !isNaN(Number(v))) return String(Number(v));
+    return typeof v === 'object' ? JSON.stringify(v) : String(v);
+}
 
-    config.inefficiency = inefficiencyRadio ? parseFloat(inefficiencyRadio.value) : PARAM_CONFIG.inefficiency.default;
-    config.misreadDensity = misreadDensityRadio ? parseFloat(misreadDensityRadio.value) : PARAM_CONFIG.misreadDensity.default;
-    config.spotReg = spotRegRadio ? parseFloat(spotRegRadio.value) : PARAM_CONFIG.spotReg.default;
-    config.rSpot = rSpotRadio ? parseFloat(rSpotRadio.value) : PARAM_CONFIG.rSpot.default;
+// Chip label for a parameter value, mimicking the Python repr used in the sweeps
+// (0.001, 2.0, 1e-05)
+function formatParamValue(value) {
+    const v = normalizeParamValue(value);
+    if (typeof v !== 'number') return formatValue(v);
+    if (v !== 0 && Math.abs(v) < 1e-3) {
+        return v.toExponential().replace(/e([+-])(\d)$/, 'e$10$2');
+    }
+    return Number.isInteger(v) ? v.toFixed(1) : String(v);
+}
+
+// config_diff entries of a run as a list (legacy single object or list format)
+function getConfigDiffs(run) {
+    if (!run || !run.config_diff) return [];
+    return Array.isArray(run.config_diff) ? run.config_diff : [run.config_diff];
+}
 
+// Parameter values a run changes from the base configuration ({} for the base run)
+function getRunConfig(run) {
+    const config = {};
+    getConfigDiffs(run).forEach(diff => { config[diff.parameter] = normalizeParamValue(diff.alt_value); });
     return config;
 }
 
-// Get run ID for current configuration
-function getRunIdForConfig(config) {
-    // Check which parameters are non-default
-    const nonDefaultParams = [];
+// Signature of a configuration: its non-default parameters, sorted by name
+function configSignature(config) {
+    const parts = Object.keys(config)
+        .filter(name => PARAM_CONFIG[name] && paramValueKey(config[name]) !== paramValueKey(PARAM_CONFIG[name].default))
+        .sort()
+        .map(name => `${name}=${paramValueKey(config[name])}`);
+    return parts.length ? parts.join('&') : 'default';
+}
 
-    Object.keys(config).forEach(paramName => {
-        const paramValue = config[paramName];
-        const defaultValue = PARAM_CONFIG[paramName].default;
+// Build PARAM_CONFIG and RUN_MAPPING from the config_diff entries in the metadata
+function buildParameterIndex(metadata) {
+    Object.keys(PARAM_CONFIG).forEach(k => delete PARAM_CONFIG[k]);
+    Object.keys(RUN_MAPPING).forEach(k => delete RUN_MAPPING[k]);
+
+    (metadata.runs || []).forEach(run => {
+        getConfigDiffs(run).forEach(diff => {
+            const name = diff.parameter;
+            if (!PARAM_CONFIG[name]) {
+                PARAM_CONFIG[name] = {
+                    default: normalizeParamValue(diff.base_value),
+                    values: [normalizeParamValue(diff.base_value)],
+                    displayName: name
+                };
+            }
+            const cfg = PARAM_CONFIG[name];
+            const value = normalizeParamValue(diff.alt_value);
+            if (!cfg.values.some(v => paramValueKey(v) === paramValueKey(value))) {
+                cfg.values.push(value);
+            }
+        });
+    });
 
-        if (paramValue !== defaultValue) {
-            nonDefaultParams.push({ name: paramName, value: paramValue });
+    // Numeric values ascending; anything else keeps discovery order at the end
+    Object.values(PARAM_CONFIG).forEach(cfg => {
+        cfg.values.sort((a, b) => {
+            const na = typeof a === 'number', nb = typeof b === 'number';
+            if (na && nb) return a - b;
+            return na ? -1 : nb ? 1 : 0;
+        });
+    });
+
+    RUN_MAPPING['default'] = metadata.base_run;
+    (metadata.runs || []).forEach(run => {
+        const key = configSignature(getRunConfig(run));
+        if (RUN_MAPPING[key] && RUN_MAPPING[key] !== run.id) {
+            console.warn(`Runs ${RUN_MAPPING[key]} and ${run.id} share configuration ${key}; keeping ${RUN_MAPPING[key]}`);
+            return;
         }
+        RUN_MAPPING[key] = run.id;
     });
+}
 
-    // If all defaults, return run_0
-    if (nonDefaultParams.length === 0) {
-        return 'run_0';
-    }
+// Render one radio group per parameter into the controls header
+function renderParameterControls() {
+    const anchor = document.getElementById('selectedRunDisplay');
+    if (!anchor) return;
+    const container = anchor.parentElement;
+    container.querySelectorAll('.param-group[data-param]').forEach(el => el.remove());
+
+    Object.entries(PARAM_CONFIG).forEach(([paramName, cfg]) => {
+        const group = document.createElement('div');
+        group.className = 'param-group';
+        group.dataset.param = paramName;
+
+        const label = document.createElement('label');
+        label.textContent = `${cfg.displayName} (base=${formatParamValue(cfg.default)})`;
+        group.appendChild(label);
+
+        const row = document.createElement('div');
+        row.className = 'radio-row';
+        cfg.values.forEach(value => {
+            const isDefault = paramValueKey(value) === paramValueKey(cfg.default);
+            const chip = document.createElement('label');
+            chip.className = 'radio-chip' + (isDefault ? ' default' : '');
+
+            const input = document.createElement('input');
+            input.type = 'radio';
+            input.name = `param-${paramName}`;
+            input.value = paramValueKey(value);
+            input.checked = isDefault;
+
+            const span = document.createElement('span');
+            span.textContent = formatParamValue(value);
+
+            chip.appendChild(input);
+            chip.appendChild(span);
+            row.appendChild(chip);
+        });
+        group.appendChild(row);
 
-    // If exactly one non-default, look up the run
-    if (nonDefaultParams.length === 1) {
-        const param = nonDefaultParams[0];
-        const key = `${param.name}:${param.value}`;
-        if (DEBUG) console.log('Lookup key:', key);
-        const runId = RUN_MAPPING[key];
-        if (runId) {
-            return runId;
-        } else {
-            if (DEBUG) console.warn('Mapping not found for', param.name, 'value', param.value,
-                'Available:', Object.keys(RUN_MAPPING).filter(k => k.startsWith(param.name + ':')));
-            return 'run_0';
-        }
-    }
+        container.insertBefore(group, anchor);
+    });
+}
 
-    // Should not happen with proper UI constraints
-    if (DEBUG) console.warn('Multiple non-default parameters detected:', nonDefaultParams);
-    return 'run_0';
+// Radio inputs of one parameter group
+function getParameterRadios(paramName) {
+    return document.querySelectorAll(`input[name="${CSS.escape(`param-${paramName}`)}"]`);
 }
 
-// Reset all parameters to defaults except the specified one
-function resetOtherParameters(changedParam) {
-    const parameterGroups = ['inefficiency', 'misreadDensity', 'spotReg', 'rSpot'];
+// Get current parameter configuration
+function getCurrentConfig() {
+    const config = {};
 
-    parameterGroups.forEach(paramName => {
-        if (paramName !== changedParam) {
-            // Find the default radio button by checking which one has "checked" attribute in HTML
-            // OR find the one marked as default in the label
-            const radios = document.querySelectorAll(`input[name="${paramName}"]`);
-            radios.forEach(radio => {
-                // Check if this radio's parent label has the "default" class
-                const isDefault = radio.parentElement.classList.contains('default');
-                radio.checked = isDefault;
-            });
-        }
+    // Get selected value for each parameter
+    Object.entries(PARAM_CONFIG).forEach(([paramName, cfg]) => {
+        const checked = Array.from(getParameterRadios(paramName)).find(r => r.checked);
+        const value = checked ? cfg.values.find(v => paramValueKey(v) === checked.value) : undefined;
+        config[paramName] = (value !== undefined) ? value : cfg.default;
     });
+
+    return config;
+}
+
+// Get run ID for current configuration (null when no run has this combination)
+function getRunIdForConfig(config) {
+    const key = configSignature(config);
+    if (DEBUG) console.log('Lookup key:', key);
+
+    const runId = RUN_MAPPING[key];
+    if (runId) return runId;
+
+    if (DEBUG) console.warn('Mapping not found for', key, 'Available:', Object.keys(RUN_MAPPING));
+    return null;
+}
+
+// Human-readable list of the non-default parameters of a configuration
+function describeConfig(config) {
+    const changed = Object.keys(config)
+        .filter(name => PARAM_CONFIG[name] && paramValueKey(config[name]) !== paramValueKey(PARAM_CONFIG[name].default))
+        .sort();
+    if (changed.length === 0) return 'all parameters at base values';
+    return changed
+        .map(name => `${PARAM_CONFIG[name].displayName}=${formatParamValue(config[name])}`)
+        .join(', ');
+}
+
+// Check the radio chips matching a configuration (missing parameters fall back to base)
+function setParameterRadios(config) {
+    Object.entries(PARAM_CONFIG).forEach(([paramName, cfg]) => {
+        const value = (config[paramName] !== undefined) ? config[paramName] : cfg.default;
+        getParameterRadios(paramName).forEach(radio => {
+            radio.checked = radio.value === paramValueKey(value);
+        });
+    });
+}
+
+// Mark chips that would lead to a combination without a run, given the other selections
+function updateChipAvailability() {
+    const config = getCurrentConfig();
+    Object.keys(PARAM_CONFIG).forEach(paramName => {
+        getParameterRadios(paramName).forEach(radio => {
+            const candidate = Object.assign({}, config, { [paramName]: PARAM_CONFIG[paramName].values.find(v => paramValueKey(v) === radio.value) });
+            const available = !!getRunIdForConfig(candidate);
+            radio.parentElement.classList.toggle('unavailable', !available);
+            radio.parentElement.title = available ? '' : `No run for ${describeConfig(candidate)}`;
+        });
+    });
+}
+
+// Reset all parameters to their base values and show the base run
+function resetAllParameters() {
+    setParameterRadios({});
+    onParameterChange(null);
 }
 
 // Update current run badge (no longer used after redesign - kept for compatibility)
@@ -528,8 +685,8 @@ function updateRunBadge(runId, paramName = null, paramValue = null) {
     const badge = document.getElementById('currentRunBadge');
     if (!badge) return; // Element removed in compact redesign
 
-    if (runId === 'run_0' || !paramName) {
-        badge.textContent = 'run_0 (default)';
+    if (runId === state.metadata.base_run || !paramName) {
+        badge.textContent = `${state.metadata.base_run} (default)`;
         badge.className = 'run-badge alt default';
     } else {
         badge.textContent = `${runId}`;
@@ -538,97 +695,138 @@ function updateRunBadge(runId, paramName = null, paramValue = null) {
 }
 
 // Handle parameter change
-async function onParameterChange(paramName, paramValueStr, paramValueNum) {
-    if (DEBUG) console.log('Parameter changed:', paramName, '=', paramValueStr, '(numeric:', paramValueNum, ')');
+async function onParameterChange(paramName) {
+    const config = getCurrentConfig();
+    if (DEBUG && paramName) console.log('Parameter changed:', paramName, '=', config[paramName]);
 
-    // Reset all other parameters to defaults
-    resetOtherParameters(paramName);
+    updateChipAvailability();
+    renderPurityHeatmap();
 
     // Determine run mapping
-    let runId = null;
-    // If the selected value equals the default for this parameter, use base run without lookup
-    const isDefault = PARAM_CONFIG[paramName] && (Number(paramValueStr) === Number(PARAM_CONFIG[paramName].default));
-    if (isDefault) {
-        runId = 'run_0';
-        if (DEBUG) console.log('Default selected for', paramName, '→ using base run (run_0)');
-    } else {
-        // Build lookup key using the string value from HTML to avoid "1" vs "1.0" issues
-        const lookupKey = `${paramName}:${paramValueStr}`;
-        if (DEBUG) console.log('Lookup key:', lookupKey);
-        runId = RUN_MAPPING[lookupKey];
-        if (!runId) {
-            if (DEBUG) console.warn('Mapping not found for', paramName, 'value', paramValueStr,
-                'Available:', Object.keys(RUN_MAPPING).filter(k => k.startsWith(paramName + ':')));
-            if (DEBUG) console.log('Resetting to base run');
-            runId = 'run_0';
-        }
-    }
+    const runId = getRunIdForConfig(config);
 
     if (DEBUG) console.log('Mapped to run:', runId);
 
     // Update the selected run display
     const selectedRunIdEl = document.getElementById('selectedRunId');
     const selectedRunDisplayEl = document.getElementById('selectedRunDisplay');
+    const missingRunNoteEl = document.getElementById('missingRunNote');
     if (selectedRunIdEl && selectedRunDisplayEl) {
-        selectedRunIdEl.textContent = runId;
+        selectedRunIdEl.textContent = runId || 'no run';
+        selectedRunIdEl.classList.toggle('missing', !runId);
         selectedRunDisplayEl.classList.remove('hidden');
     }
+    if (missingRunNoteEl) {
+        missingRunNoteEl.textContent = runId ? '' : `No run for ${describeConfig(config)}. Charts still show ${state.currentRun}.`;
+        missingRunNoteEl.classList.toggle('hidden', !!runId);
+    }
 
-    // Update the badge
-    updateRunBadge(runId, paramName, paramValueNum);
+    // Nothing to load for a combination without a run; keep the current comparison
+    // (and drop a run still loading for an earlier click)
+    if (!runId) {
+        RequestManager.cancel('run');
+        return;
+    }
 
-    // Load the run (if different from current)
-    if (runId === 'run_0') {
-        // Base-vs-base: compare base to itself
-        if (DEBUG) console.log('Base selected: rendering base vs base');
-        showNoDataMessage(false);
-        state.altData = state.baseData;
-        state.currentRun = runId;
-        hideConfigDiff();
-        updateOverviewCharts();
-        updateRegionalCharts();
-        // Sync Spatial Viewer to selected run
-        syncSpatialRun(runId);
-    } else if (runId !== state.currentRun) {
-        try {
-            if (DEBUG) console.log('Loading run', runId, '...');
-            // Don't show loading indicator - data loads quickly and it causes annoying blink
+    // Update the badge
+    updateRunBadge(runId, paramName, config[paramName]);
+
+    // Every switch supersedes the previous one, so a slow earlier run never
+    // overwrites the charts after a later click
+    await RequestManager.run('run', runId, async (request) => {
+        if (runId === state.metadata.base_run) {
+            // Base-vs-base: compare base to itself
+            if (DEBUG) console.log('Base selected: rendering base vs base');
             showNoDataMessage(false);
-
-            // Load alternative run data
-            state.altData = await loadJSON(`data/${runId}.json`);
+            state.altData = state.baseData;
             state.currentRun = runId;
-            if (DEBUG) console.log('Loaded', runId, ',', state.altData.total_cells, 'cells');
+            hideConfigDiff();
+            updateOverviewCharts();
+            updateRegionalCharts();
+        } else if (runId !== state.currentRun) {
+            try {
+                if (DEBUG) console.log('Loading run', runId, '...');
+                showNoDataMessage(false);
+
+                // Load alternative run data
+                const data = await loadRunAggregate(runId, request.signal);
+                request.throwIfStale();
+                state.altData = data;
+                state.currentRun = runId;
+                if (DEBUG) console.log('Loaded', runId, ',', state.altData.total_cells, 'cells');
+
+                // Find metadata for this run
+                const runMetadata = state.metadata.runs.find(r => r.id === runId);
+
+                // Display config diff
+                displayConfigDiff(runMetadata);
+
+                // Update all charts
+                if (DEBUG) console.log('Updating charts...');
+                updateOverviewCharts();
+                updateRegionalCharts();
+
+                if (DEBUG) console.log('Done loading and rendering');
+
+            } catch (error) {
+                if (RequestManager.isAbortError(error)) throw error;
+                console.error(`Failed to load run ${runId}:`, error);
+                alert(`Failed to load data for ${runId}`);
+                return;
+            }
+        } else if (DEBUG) {
+            console.log('Run already loaded, skipping:', runId);
+        }
 
-            // Find metadata for this run
-            const runMetadata = state.metadata.runs.find(r => r.id === runId);
+        // Sync Spatial Viewer to selected run (also when it was changed independently)
+        await syncSpatialRun(runId);
+    });
 
-            // Display config diff
-            displayConfigDiff(runMetadata);
+    prefetchNeighbourRuns(config, paramName);
+}
 
-            // Update all charts
-            if (DEBUG) console.log('Updating charts...');
-            updateOverviewCharts();
-            updateRegionalCharts();
+// Runs near a configuration: every value of the parameter being swept, then the
+// previous and next value of each other parameter (others unchanged)
+function getNeighbourRunIds(config, sweptParam = null) {
+    const ids = [];
+    const add = (name, value) => {
+        const runId = getRunIdForConfig(Object.assign({}, config, { [name]: value }));
+        if (runId && !ids.includes(runId)) ids.push(runId);
+    };
 
-            // Sync Spatial Viewer to selected run
-            syncSpatialRun(runId);
+    if (sweptParam && PARAM_CONFIG[sweptParam]) {
+        PARAM_CONFIG[sweptParam].values.forEach(value => add(sweptParam, value));
+    }
+    Object.entries(PARAM_CONFIG).forEach(([name, cfg]) => {
+        if (name === sweptParam) return;
+        const index = cfg.values.findIndex(v => paramValueKey(v) === paramValueKey(config[name]));
+        if (index < 0) return;
+        if (index > 0) add(name, cfg.values[index - 1]);
+        if (index < cfg.values.length - 1) add(name, cfg.values[index + 1]);
+    });
+    return ids;
+}
 
-            if (DEBUG) console.log('Done loading and rendering');
+// Incremented on every prefetch so an older queue stops
+let prefetchGeneration = 0;
 
-        } catch (error) {
-            console.error(`Failed to load run ${runId}:`, error);
-            alert(`Failed to load data for ${runId}`);
-        }
-    } else {
-        if (DEBUG) console.log('Run already loaded, skipping:', runId);
-        // Still sync spatial viewer in case it was changed independently
-        syncSpatialRun(runId);
+// Load the aggregates and cells of nearby runs into the data cache, one run at a
+// time once the current run has loaded and the browser is idle
+async function prefetchNeighbourRuns(config, sweptParam = null) {
+    const generation = ++prefetchGeneration;
+    const viewer = window.SpatialViewer;
+    if (viewer && viewer.loader) await viewer.loader.whenLoaded();
+
+    for (const runId of getNeighbourRunIds(config, sweptParam)) {
+        await new Promise(resolve => (window.requestIdleCallback || setTimeout)(resolve));
+        if (generation !== prefetchGeneration) return;
+        await DataCache.prefetchRun(runId);
     }
 }
 
 // Keep Spatial Viewer in sync with current hyperparameter selection
-function syncSpatialRun(runId) {
+// (resolves once its cells are shown or the load was superseded)
+async function syncSpatialRun(runId) {
     try {
         const select = document.getElementById('spatialRunSelect');
         if (select) {
@@ -637,13 +835,24 @@ function syncSpatialRun(runId) {
             if (opt) select.value = runId;
         }
         if (window.SpatialViewer && window.SpatialViewer.loader && typeof window.SpatialViewer.loader.loadRunData === 'function') {
-            window.SpatialViewer.loader.loadRunData(runId);
+            await window.SpatialViewer.loader.loadRunData(runId);
         }
     } catch (e) {
         console.warn('Failed to sync Spatial Viewer:', e);
     }
 }
 
+// Keep the Spatial Viewer's diff reference in sync with the reference run
+function syncSpatialReference(runId) {
+    try {
+        if (window.SpatialViewer && window.SpatialViewer.diff && typeof window.SpatialViewer.diff.setReferenceRun === 'function') {
+            window.SpatialViewer.diff.setReferenceRun(runId);
+        }
+    } catch (e) {
+        console.warn('Failed to sync Spatial Viewer reference run:', e);
+    }
+}
+
 // Handle run selection change
 async function onRunChange(event) {
     const runId = event.target.value;
@@ -661,7 +870,7 @@ async function onRunChange(event) {
         showNoDataMessage(false);
 
         // Load alternative run data
-        state.altData = await loadJSON(`data/${runId}.json`);
+        state.altData = await loadRunAggregate(runId);
         state.currentRun = runId;
 
         // Find metadata for this run
@@ -683,6 +892,31 @@ async function onRunChange(event) {
     }
 }
 
+// Handle a change of the active class grouping (or of its definition)
+function onClassGroupingChange() {
+    if (!state.altData) return;
+    renderCountsCharts();
+    renderSankeyChart();
+    try {
+        if (window.SpatialViewer && typeof window.SpatialViewer.updateLegend === 'function') {
+            window.SpatialViewer.updateLegend();
+            window.SpatialViewer.render();
+        }
+    } catch (_) {}
+}
+
+// Expected classes changed: recompute every purity view
+function onRegionDefinitionChange() {
+    if (!state.altData) return;
+    updateOverviewCharts();
+    renderThresholdCurve();
+    renderPurityHeatmap();
+    const sweepTab = document.getElementById('sweepTabContent');
+    if (sweepTab && sweepTab.classList.contains('active')) {
+        renderSweepCharts().catch(e => console.warn('Failed to render sweep charts:', e));
+    }
+}
+
 // Handle region selection change
 function onRegionChange(event, source = null) {
     const value = event.target.value;
@@ -701,6 +935,13 @@ function onRegionChange(event, source = null) {
     // Update charts in both tabs
     updateRegionalCharts(); // bottom two charts
     renderSankeyChart();    // flowchart
+
+    // Outline the region on the map and fly to it (when boundaries are available)
+    try {
+        if (window.SpatialViewer && window.SpatialViewer.regions) {
+            window.SpatialViewer.regions.flyToRegion(value);
+        }
+    } catch (_) {}
 }
 
 // Display configuration difference
@@ -776,6 +1017,23 @@ function formatValue(value) {
     return value;
 }
 
+// Save text as a file download
+function downloadTextFile(filename, text, mimeType = 'text/plain') {
+    downloadBlob(filename, new Blob([text], { type: mimeType }));
+}
+
+// Save a blob as a file download
+function downloadBlob(filename, blob) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
 // Basic HTML escape for safe insertion
 function escapeHTML(str) {
     if (str == null) return '';
@@ -795,6 +1053,8 @@ function updateAllCharts() {
     renderMetricsTable();
     renderCountsCharts();
     renderSankeyChart();
+    renderThresholdCurve();
+    renderPurityHeatmap();
 }
 
 // Update overview charts
@@ -805,23 +1065,51 @@ function updateOverviewCharts() {
     renderMetricsTable();
 }
 
+// Purity of a region in a run aggregate at the current gene-count threshold,
+// recomputed from cell_type_counts with the user's expected classes.
+// null when the threshold needs per-cell region labels the cells don't have.
+function getRegionPurity(runData, region) {
+    const block = getThresholdRegionBlock(runData, region);
+    return block ? RegionDefinitions.computePurity(region, block) : null;
+}
+
+// Precomputed purity shipped in run_N.json (only at the precomputed cut-offs)
+function getShippedRegionPurity(runData, region) {
+    const data = runData.regions[region];
+    const filterKey = getPrecomputedFilterKey();
+    if (filterKey === 'all') return data.purity;
+    if (filterKey === 'high_gene') return data.high_gene_count.purity;
+    return null;
+}
+
+// Explain why region purity is missing at the current threshold ('' when it isn't)
+function getPurityUnavailableNote() {
+    if (getPrecomputedFilterKey() !== null) return '';
+    if ([state.refData, state.altData].some(isThresholdAggregateLoading)) {
+        return `Recomputing purity at ≥${state.geneThreshold} counts from the cell files…`;
+    }
+    return `Cells carry no region labels, so region purity at ≥${state.geneThreshold} counts cannot be recomputed; `
+        + `it is available at 0 and ${getHighGeneCutoff()} counts.`;
+}
+
+// Show a note under a chart heading (empty text hides it)
+function setChartMessage(elementId, text) {
+    const message = document.getElementById(elementId);
+    if (!message) return;
+    message.textContent = text || '';
+    message.classList.toggle('hidden', !text);
+}
+
 // Render purity comparison chart
 function renderPurityChart() {
     const regions = ['ca1', 'ca2', 'ca3', 'dg'];
-    const filterKey = state.currentFilter === 'high_gene' ? 'high_gene_count' : '';
 
-    const baseValues = regions.map(region => {
-        const data = state.baseData.regions[region];
-        return filterKey ? data[filterKey].purity : data.purity;
-    });
-
-    const altValues = regions.map(region => {
-        const data = state.altData.regions[region];
-        return filterKey ? data[filterKey].purity : data.purity;
-    });
+    const baseValues = regions.map(region => getRegionPurity(state.refData, region));
+    const altValues = regions.map(region => getRegionPurity(state.altData, region));
+    setChartMessage('purityMessage', baseValues.concat(altValues).some(v => v == null) ? getPurityUnavailableNote() : '');
 
     // Calculate dynamic y-axis range
-    const allValues = [...baseValues, ...altValues];
+    const allValues = [...baseValues, ...altValues].filter(v => v != null);
     const minValue = Math.min(...allValues);
     const maxValue = Math.max(...allValues);
 
@@ -833,9 +1121,9 @@ function renderPurityChart() {
     const trace1 = {
         x: regions.map(r => REGION_NAMES[r]),
         y: baseValues,
-        name: state.metadata.base_run,
+        name: state.refRun,
         type: 'bar',
-        marker: { color: '#c4b5fd' }  // Lavender for base run
+        marker: { color: '#c4b5fd' }  // Lavender for reference run
     };
 
     const trace2 = {
@@ -843,7 +1131,7 @@ function renderPurityChart() {
         y: altValues,
         name: state.currentRun,
         type: 'bar',
-        marker: { color: '#93c5fd' }  // Powder blue for alternative run
+        marker: { color: '#93c5fd' }  // Powder blue for selected run
     };
 
     const layout = {
@@ -865,35 +1153,44 @@ function renderPurityChart() {
 // Render metrics summary table
 function renderMetricsTable() {
     const regions = ['ca1', 'ca2', 'ca3', 'dg'];
-    const filterKey = state.currentFilter === 'high_gene' ? 'high_gene_count' : '';
 
     let html = '<table><thead><tr>';
     html += '<th>Region</th>';
-    html += `<th>${state.metadata.base_run}</th>`;
+    html += `<th>${state.refRun}</th>`;
     html += `<th>${state.currentRun}</th>`;
     html += '<th>Change</th>';
     html += '</tr></thead><tbody>';
 
     regions.forEach(region => {
-        const baseData = state.baseData.regions[region];
-        const altData = state.altData.regions[region];
-
-        const basePurity = filterKey ? baseData[filterKey].purity : baseData.purity;
-        const altPurity = filterKey ? altData[filterKey].purity : altData.purity;
-        const change = altPurity - basePurity;
-
-        const changeClass = change > 0 ? 'positive' : change < 0 ? 'negative' : 'neutral';
-        const signed = change > 0 ? `+${change.toFixed(1)}%` : `${change.toFixed(1)}%`;
+        const basePurity = getRegionPurity(state.refData, region);
+        const altPurity = getRegionPurity(state.altData, region);
+        const known = basePurity != null && altPurity != null;
+        const change = known ? altPurity - basePurity : 0;
+
+        const changeClass = !known ? 'neutral' : change > 0 ? 'positive' : change < 0 ? 'negative' : 'neutral';
+        const signed = !known ? '–' : change > 0 ? `+${change.toFixed(1)}%` : `${change.toFixed(1)}%`;
+        const format = value => value == null ? '–' : `${value.toFixed(1)}%`;
+
+        // Shipped value alongside when the user's definition differs from it
+        const custom = !RegionDefinitions.isDefault(region);
+        const shipped = runData => {
+            const value = getShippedRegionPurity(runData, region);
+            return (custom && value != null) ? ` <span class="shipped-purity">(shipped ${value.toFixed(1)}%)</span>` : '';
+        };
+        const expected = RegionDefinitions.getExpectedClasses(region);
 
         html += '<tr>';
-        html += `<td><strong>${REGION_NAMES[region]}</strong></td>`;
-        html += `<td>${basePurity.toFixed(1)}%</td>`;
-        html += `<td>${altPurity.toFixed(1)}%</td>`;
+        html += `<td><strong>${REGION_NAMES[region]}</strong>${custom ? ' <span class="custom-definition" title="' + escapeHTML(expected.join('\n')) + '">custom</span>' : ''}</td>`;
+        html += `<td>${format(basePurity)}${shipped(state.refData)}</td>`;
+        html += `<td>${format(altPurity)}${shipped(state.altData)}</td>`;
         html += `<td class="${changeClass}">${signed}</td>`;
         html += '</tr>';
     });
 
     html += '</tbody></table>';
+    if (!RegionDefinitions.isAllDefault()) {
+        html += '<p class="chart-description">Purity uses your expected classes per region; shipped values use the default classes.</p>';
+    }
 
     document.getElementById('metricsTable').innerHTML = html;
 }
@@ -904,33 +1201,85 @@ function updateRegionalCharts() {
 
     renderCountsCharts();
     renderSankeyChart();
+    renderThresholdCurve();
 }
 
 // Render side-by-side counts charts
 function renderCountsCharts() {
     const region = state.currentRegion;
-    const filterKey = state.currentFilter === 'high_gene' ? 'high_gene_count' : '';
-
-    // Update titles
-    document.getElementById('baseChartTitle').textContent = `Distribution of cell types in ${REGION_NAMES[region]} under the the base run: ${state.metadata.base_run}`;
-    document.getElementById('altChartTitle').textContent = `Distribution of cell types in ${REGION_NAMES[region]} under the alternative run: ${state.currentRun}`;
 
-    // Get data
-    const baseRegion = state.baseData.regions[region];
-    const altRegion = state.altData.regions[region];
+    // Region blocks at the current threshold; the whole section stands in when
+    // the cells carry no region labels
+    let baseBlock = getThresholdRegionBlock(state.refData, region);
+    let altBlock = getThresholdRegionBlock(state.altData, region);
+    let scope = REGION_NAMES[region];
+    let note = '';
+    if (!baseBlock || !altBlock) {
+        baseBlock = getThresholdSectionBlock(state.refData);
+        altBlock = getThresholdSectionBlock(state.altData);
+        if (!baseBlock || !altBlock) {
+            setChartMessage('countsMessage', `Recomputing counts at ≥${state.geneThreshold} counts from the cell files…`);
+            return;
+        }
+        scope = 'the whole section';
+        note = `Cells carry no region labels, so counts at ≥${state.geneThreshold} counts cover the whole section rather than ${REGION_NAMES[region]}.`;
+    }
+    setChartMessage('countsMessage', note);
 
-    const baseCounts = filterKey ? baseRegion[filterKey].cell_type_counts : baseRegion.cell_type_counts;
-    const altCounts = filterKey ? altRegion[filterKey].cell_type_counts : altRegion.cell_type_counts;
+    // Update titles
+    document.getElementById('baseChartTitle').textContent = `Distribution of cell types in ${scope} under the reference run: ${state.refRun}`;
+    document.getElementById('altChartTitle').textContent = `Distribution of cell types in ${scope} under the selected run: ${state.currentRun}`;
+
+    let baseCounts = baseBlock.cell_type_counts;
+    let altCounts = altBlock.cell_type_counts;
+    let colorFn = getCellColor;
+
+    // Optionally sum counts per class group of the active grouping
+    if (state.countsGrouped) {
+        baseCounts = groupClassCounts(baseCounts);
+        altCounts = groupClassCounts(altCounts);
+        colorFn = name => ClassGrouping.getGroupColor(name);
+    }
 
     // Render base chart
-    renderBarChart('baseCountsChart', baseCounts, `${state.metadata.base_run}`);
+    renderBarChart('baseCountsChart', baseCounts, `${state.refRun}`, colorFn);
 
     // Render alt chart
-    renderBarChart('altCountsChart', altCounts, `${state.currentRun}`);
+    renderBarChart('altCountsChart', altCounts, `${state.currentRun}`, colorFn);
+}
+
+// Sum full-class counts into the groups of the active class grouping
+function groupClassCounts(counts) {
+    const grouped = {};
+    Object.entries(counts || {}).forEach(([label, count]) => {
+        const group = simplifyClassLabel(label);
+        grouped[group] = (grouped[group] || 0) + count;
+    });
+    return grouped;
+}
+
+// All class labels seen in the loaded runs (used by the grouping editor preview)
+function getKnownClassLabels() {
+    const labels = new Set();
+    [state.refData, state.altData].forEach(runData => {
+        if (!runData || !runData.regions) return;
+        Object.values(runData.regions).forEach(region => {
+            Object.keys(region.cell_type_counts || {}).forEach(label => labels.add(label));
+        });
+    });
+    const spatialCounts = window.SpatialViewer && window.SpatialViewer.state.cellClassCounts;
+    if (spatialCounts) Object.keys(spatialCounts).forEach(label => labels.add(label));
+    return Array.from(labels).sort();
 }
 
 // Render a bar chart
-function renderBarChart(elementId, counts, title) {
+function renderBarChart(elementId, counts, title, colorFn = getCellColor) {
+    const figure = buildBarChartFigure(counts, colorFn);
+    Plotly.newPlot(elementId, figure.data, figure.layout, {responsive: true});
+}
+
+// Plotly data and layout of a class-count bar chart (top 15 classes)
+function buildBarChartFigure(counts, colorFn = getCellColor) {
     // Sort by count descending
     const sorted = Object.entries(counts)
         .sort((a, b) => b[1] - a[1])
@@ -940,7 +1289,7 @@ function renderBarChart(elementId, counts, title) {
     const values = sorted.map(([_, count]) => count);
 
     // Map labels to colors using the helper function
-    const colors = labels.map(label => getCellColor(label));
+    const colors = labels.map(label => colorFn(label));
 
     const trace = {
         x: labels,
@@ -961,37 +1310,80 @@ function renderBarChart(elementId, counts, title) {
         margin: { l: 40, r: 10, t: 10, b: 70 }
     };
 
-    Plotly.newPlot(elementId, [trace], layout, {responsive: true});
+    return { data: [trace], layout };
+}
+
+// Incremented on every Sankey render so late client-side results are dropped
+let sankeyRenderToken = 0;
+
+// Show an informational note above the Sankey (empty text hides it)
+function setSankeyMessage(text) {
+    const message = document.getElementById('sankeyMessage');
+    if (!message) return;
+    message.textContent = text || '';
+    message.classList.toggle('hidden', !text);
 }
 
 // Render Sankey diagram
-function renderSankeyChart() {
+async function renderSankeyChart() {
     const region = state.currentRegion;
-    const filterKey = state.currentFilter === 'high_gene' ? 'high_gene' : 'all';
+    const token = ++sankeyRenderToken;
 
-    let transitions;
-    if (state.altData && state.altData.transitions && state.altData.transitions[region] && state.altData.transitions[region][filterKey]) {
-        transitions = state.altData.transitions[region][filterKey];
-    } else {
-        // Fallback: base-vs-base identity transitions derived from counts
-        const data = state.baseData.regions[region];
-        const counts = (filterKey === 'high_gene' ? data.high_gene_count.cell_type_counts : data.cell_type_counts) || {};
-        // Simplify class names and build identity flows
-        const simpCounts = {};
-        Object.entries(counts).forEach(([label, count]) => {
-            const s = simplifyClassLabel(label);
-            simpCounts[s] = (simpCounts[s] || 0) + count;
-        });
-        transitions = Object.entries(simpCounts).map(([s, count]) => ({ from: s, to: s, count }));
+    // Replaced before the next paint when precomputed flows are available
+    setSankeyMessage(`Computing cell-level transitions from ${state.refRun} to ${state.currentRun}…`);
+    let result;
+    try {
+        result = await getSankeyTransitions(region);
+    } catch (error) {
+        if (token !== sankeyRenderToken) return;
+        console.error('Failed to compute transitions:', error);
+        Plotly.purge('sankeyChart');
+        setSankeyMessage(`Could not compute transitions from ${state.refRun} to ${state.currentRun}: cell files failed to load.`);
+        return;
     }
+    if (token !== sankeyRenderToken) return;
+
+    const { transitions, note } = result;
+    setSankeyMessage(note);
+    state.sankeyTransitions = {
+        region,
+        refRun: state.refRun,
+        currentRun: state.currentRun,
+        geneThreshold: state.geneThreshold,
+        transitions,
+        note
+    };
 
-    // Fixed simplified class order for stable nodes and colors
-    const SIMPLIFIED_CLASSES = ['Astro','CA1','CA2','CA3','DG','L5','L6','Oligo','Other','Zero'];
+    const figure = buildSankeyFigure(transitions);
+    Plotly.newPlot('sankeyChart', figure.data, figure.layout, {responsive: true});
+}
+
+// Class-group transitions of a region from the reference to the selected run at
+// the current threshold: { transitions, regional, note }. regional is false when
+// the flows cover the whole section. Precomputed blocks are a shortcut;
+// otherwise cells of both runs are matched by id.
+async function getSankeyTransitions(region) {
+    const filterKey = getPrecomputedFilterKey();
+    const precomputed = filterKey ? getPrecomputedTransitions(region, filterKey) : null;
+    if (precomputed) return { transitions: precomputed, regional: true, note: '' };
+
+    const minGeneCount = state.geneThreshold;
+    const result = await computeRunTransitions(state.refRun, state.currentRun, { region, minGeneCount });
+    const note = result.regionApplied
+        ? ''
+        : `Cells carry no region labels, so these flows cover the whole section rather than ${REGION_NAMES[region]}.`;
+    return { transitions: result.transitions, regional: result.regionApplied, note };
+}
+
+// Plotly data and layout of the Sankey for a list of transitions
+function buildSankeyFigure(transitions) {
+    // Group order of the active class grouping gives stable nodes and colors
+    const SIMPLIFIED_CLASSES = ClassGrouping.getGroupOrder();
 
     // Node labels
     const nodeLabels = [
-        ...SIMPLIFIED_CLASSES.map(c => `${c} (Base)`),
-        ...SIMPLIFIED_CLASSES.map(c => `${c} (Alt)`)
+        ...SIMPLIFIED_CLASSES.map(c => `${c} (${state.refRun})`),
+        ...SIMPLIFIED_CLASSES.map(c => `${c} (${state.currentRun})`)
     ];
 
     // Index maps
@@ -1014,24 +1406,12 @@ function renderSankeyChart() {
         }
     });
 
-    // Node colors: set distinct, easily differentiable colors for all classes (Base and Alt match)
+    // Node colors from the active grouping (reference and selected sides match)
     const nodeColors = new Array(SIMPLIFIED_CLASSES.length * 2).fill('#FFFFFF');
-    const CLASS_PALETTE = {
-        'Astro': '#17becf',
-        'CA1':   '#1f77b4',
-        'CA2':   '#ff7f0e',
-        'CA3':   '#9467bd',
-        'DG':    '#2ca02c',
-        'L5':    '#e377c2',
-        'L6':    '#bcbd22',
-        'Oligo': '#8c564b',
-        'Other': '#7f7f7f',
-        'Zero':  '#000000'
-    };
     SIMPLIFIED_CLASSES.forEach((cls, i) => {
-        const color = CLASS_PALETTE[cls] || '#FFFFFF';
-        nodeColors[i] = color; // Base
-        nodeColors[i + SIMPLIFIED_CLASSES.length] = color; // Alt
+        const color = ClassGrouping.getGroupColor(cls);
+        nodeColors[i] = color; // Reference
+        nodeColors[i + SIMPLIFIED_CLASSES.length] = color; // Selected
     });
 
     const data = [{
@@ -1061,22 +1441,53 @@ function renderSankeyChart() {
         margin: { l: 10, r: 10, t: 10, b: 10 }
     };
 
-    Plotly.newPlot('sankeyChart', data, layout, {responsive: true});
+    return { data, layout };
+}
+
+// Simplified-class transitions from the reference run to the selected run, taken
+// from the precomputed base->alt blocks. Returns null when the pair is not covered
+// (renderSankeyChart then computes them from the cells).
+function getPrecomputedTransitions(region, filterKey) {
+    const baseRun = state.metadata.base_run;
+
+    // Same run on both sides: identity flows derived from counts
+    if (state.refRun === state.currentRun) {
+        const data = state.refData.regions[region];
+        const counts = (filterKey === 'high_gene' ? data.high_gene_count.cell_type_counts : data.cell_type_counts) || {};
+        const simpCounts = {};
+        Object.entries(counts).forEach(([label, count]) => {
+            const s = simplifyClassLabel(label);
+            simpCounts[s] = (simpCounts[s] || 0) + count;
+        });
+        return Object.entries(simpCounts).map(([s, count]) => ({ from: s, to: s, count }));
+    }
+
+    // Precomputed blocks use the built-in buckets only
+    if (!ClassGrouping.isDefaultActive()) return null;
+
+    const block = (runData) => (runData && runData.transitions && runData.transitions[region])
+        ? runData.transitions[region][filterKey]
+        : null;
+
+    if (state.refRun === baseRun) {
+        return block(state.altData) || null;
+    }
+
+    // Selected run is the base: reverse the reference run's base->alt flows.
+    // Their gene-count filter is on the base side, here the selected run, while
+    // the flows filter on the reference side; only unfiltered blocks carry over.
+    if (state.currentRun === baseRun) {
+        if (filterKey !== 'all') return null;
+        const reversed = block(state.refData);
+        return reversed ? reversed.map(t => ({ from: t.to, to: t.from, count: t.count })) : null;
+    }
+
+    return null;
 }
 
-// Simplify full class labels to Sankey categories
+// Map a full class label to its group in the active class grouping
 function simplifyClassLabel(label) {
-    if (!label || typeof label !== 'string') return 'Other';
-    if (label.startsWith('016 CA1')) return 'CA1';
-    if (label.startsWith('025 CA2')) return 'CA2';
-    if (label.startsWith('017 CA3')) return 'CA3';
-    if (label.startsWith('037 DG Glut') || label.startsWith('038 DG-PIR')) return 'DG';
-    if (label.startsWith('319 Astro')) return 'Astro';
-    if (label.startsWith('327 Oligo')) return 'Oligo';
-    if (label.startsWith('005 L5 IT') || label.startsWith('022 L5 ET') || label.startsWith('032 L5 NP')) return 'L5';
-    if (label.startsWith('030 L6 CT') || label.startsWith('004 L6 IT') || label.startsWith('029 L6b CTX')) return 'L6';
-    if (label.startsWith('Zero')) return 'Zero';
-    return 'Other';
+    return ClassGrouping.classify(label);
 }
 
 // Show/hide loading indicator
@@ -0,0 +1,268 @@
+/**
+ * Permalinks
+ * Encodes the dashboard state in the URL hash and restores it on load and on
+ * browser back/forward. Discrete changes push a history entry; pan and zoom
+ * only replace the current one.
+ *
+ * Hash keys: run, ref, region, genes, tab, view (x,y,zoom, plus
+ * rotationX,rotationOrbit in 3D), plane (min,max slab), hidden or visible (class labels
+ * joined by |), legend, color, split, orbit (z-scale of the 3D view)
+ */
+
+(function() {
+    'use strict';
+
+    const UPDATE_DELAY_MS = 400;
+    const CLASS_SEPARATOR = '|';
+
+    let started = false;
+    let restoring = false;
+    let updateTimer = null;
+
+    function round(value, digits) {
+        const f = Math.pow(10, digits);
+        return Math.round(value * f) / f;
+    }
+
+    function getActiveTab() {
+        const active = document.querySelector('.tab-button.active');
+        return active ? active.dataset.tab : null;
+    }
+
+    // Current dashboard and Spatial Viewer state as hash parameters
+    function serialize() {
+        const params = new URLSearchParams();
+        const config = getCurrentConfig();
+        params.set('run', getRunIdForConfig(config) || state.currentRun);
+        const refSelect = document.getElementById('referenceRunSelect');
+        params.set('ref', (refSelect && refSelect.value) || state.refRun);
+        params.set('region', state.currentRegion);
+        params.set('genes', String(state.geneThreshold));
+        const tab = getActiveTab();
+        if (tab) params.set('tab', tab);
+
+        const sv = window.SpatialViewer && window.SpatialViewer.state;
+        if (sv) {
+            const view = sv.viewState;
+            if (view && Array.isArray(view.target)) {
+                // The 3D view mirrors y (see SpatialViewer.orbit); store section coordinates
+                const y = sv.orbit.enabled ? -view.target[1] : view.target[1];
+                const values = [round(view.target[0], 1), round(y, 1), round(view.zoom, 2)];
+                if (sv.orbit.enabled) values.push(round(view.rotationX || 0, 1), round(view.rotationOrbit || 0, 1));
+                params.set('view', values.join(','));
+            }
+            if (sv.orbit.enabled) params.set('orbit', String(sv.orbit.zScale));
+            const range = window.SpatialViewer.planes.getActiveRange();
+            if (range) params.set('plane', range.min === range.max ? String(range.min) : `${range.min},${range.max}`);
+
+            // Hidden classes, or the visible ones when that list is shorter
+            const classes = Object.keys(sv.cellClassCounts || {});
+            const hidden = classes.filter(c => sv.cellClassVisible[c] === false);
+            if (hidden.length > 0) {
+                if (hidden.length > classes.length / 2) {
+                    params.set('visible', classes.filter(c => sv.cellClassVisible[c] !== false).join(CLASS_SEPARATOR));
+                } else {
+                    params.set('hidden', hidden.join(CLASS_SEPARATOR));
+                }
+            }
+            if (sv.legendFilter) params.set('legend', sv.legendFilter);
+            if (sv.colorMode && sv.colorMode !== 'class') params.set('color', sv.colorMode);
+            if (sv.splitView) params.set('split', '1');
+        }
+        return params;
+    }
+
+    // Same state apart from the view (pan/zoom)?
+    function sameExceptView(a, b) {
+        const strip = params => {
+            const copy = new URLSearchParams(params);
+            copy.delete('view');
+            return copy.toString();
+        };
+        return strip(a) === strip(b);
+    }
+
+    // Write the current state to the hash
+    function update() {
+        if (restoring) return;
+        const next = serialize();
+        const current = new URLSearchParams(window.location.hash.slice(1));
+        const hash = `#${next.toString()}`;
+        if (hash === window.location.hash) return;
+
+        if (!window.location.hash || sameExceptView(next, current)) {
+            history.replaceState(null, '', hash);
+        } else {
+            history.pushState(null, '', hash);
+        }
+    }
+
+    function scheduleUpdate() {
+        if (!started || restoring) return;
+        clearTimeout(updateTimer);
+        updateTimer = setTimeout(update, UPDATE_DELAY_MS);
+    }
+
+    function runExists(runId) {
+        return runId === state.metadata.base_run || state.metadata.runs.some(r => r.id === runId);
+    }
+
+    // Apply hash parameters to the dashboard, then to the Spatial Viewer
+    async function apply(params) {
+        restoring = true;
+        try {
+            const tab = params.get('tab');
+            if (tab && tab !== getActiveTab()) {
+                const button = document.querySelector(`.tab-button[data-tab="${CSS.escape(tab)}"]`);
+                if (button) button.click();
+            }
+
+            const ref = params.get('ref');
+            const refSelect = document.getElementById('referenceRunSelect');
+            if (ref && ref !== state.refRun && runExists(ref) && refSelect) {
+                refSelect.value = ref;
+                await onReferenceRunChange({ target: refSelect });
+            }
+
+            const run = params.get('run');
+            if (run && run !== state.currentRun && runExists(run)) {
+                const meta = state.metadata.runs.find(r => r.id === run);
+                setParameterRadios(meta ? getRunConfig(meta) : {});
+                await onParameterChange(null);
+            }
+
+            const region = params.get('region');
+            const regionSelect = document.getElementById('regionSelect');
+            if (region && region !== state.currentRegion && REGION_NAMES[region] && regionSelect) {
+                regionSelect.value = region;
+                onRegionChange({ target: regionSelect }, 'overview');
+            }
+
+            const genes = params.has('genes') ? Number(params.get('genes')) : 0;
+            if (Number.isFinite(genes) && genes !== state.geneThreshold) {
+                setGeneThreshold(genes);
+            }
+
+            await applySpatial(params);
+        } catch (error) {
+            console.warn('Could not restore the dashboard state from the URL:', error);
+        } finally {
+            restoring = false;
+        }
+    }
+
+    async function applySpatial(params) {
+        const viewer = window.SpatialViewer;
+        if (!viewer || !viewer.loader) return;
+        await viewer.loader.whenLoaded();
+        const sv = viewer.state;
+
+        const color = params.get('color') || 'class';
+        if (color !== sv.colorMode) {
+            const select = document.getElementById('spatialColorMode');
+            if (select) select.value = color;
+            await viewer.diff.setColorMode(color);
+        }
+
+        const split = params.get('split') === '1';
+        if (split !== sv.splitView) await viewer.split.setSplitView(split);
+
+        // Class visibility
+        const classes = Object.keys(sv.cellClassCounts || {});
+        const listed = name => (params.get(name) || '').split(CLASS_SEPARATOR).filter(Boolean);
+        if (params.has('visible')) {
+            const visible = new Set(listed('visible'));
+            classes.forEach(c => { sv.cellClassVisible[c] = visible.has(c); });
+        } else {
+            const hidden = new Set(listed('hidden'));
+            classes.forEach(c => { sv.cellClassVisible[c] = !hidden.has(c); });
+        }
+
+        viewer.uiControls.setLegendFilter(params.get('legend') || '');
+
+        const zScale = params.has('orbit') ? Number(params.get('orbit')) : null;
+        if (zScale !== null && Number.isFinite(zScale)) {
+            viewer.orbit.setZScale(zScale);
+            viewer.orbit.setOrbitView(true);
+        } else if (sv.orbit.enabled) {
+            viewer.orbit.setOrbitView(false);
+        }
+
+        // A single plane or a min,max slab
+        const plane = (params.get('plane') || '').split(',').filter(Boolean).map(Number);
+        if (plane.length > 0 && plane.every(Number.isFinite)) {
+            viewer.planes.setPlaneFilter(true, { min: plane[0], max: plane[plane.length - 1] });
+        } else if (sv.planeFilterEnabled) {
+            viewer.planes.setPlaneFilter(false);
+        }
+
+        viewer.updateLegend();
+        viewer.render();
+
+        // View last: after any auto-fit queued by the tab switch
+        const view = (params.get('view') || '').split(',').map(Number);
+        if (view.length >= 3 && view.every(Number.isFinite)) {
+            await new Promise(resolve => requestAnimationFrame(resolve));
+            sv.viewFitted = true;
+            if (sv.orbit.enabled) {
+                const orbitView = viewer.orbit.getViewState(view[0], view[1], view[2]);
+                if (view.length >= 5) {
+                    orbitView.rotationX = view[3];
+                    orbitView.rotationOrbit = view[4];
+                }
+                viewer.rendering.applyViewState(orbitView);
+            } else {
+                viewer.rendering.applyViewState({ target: [view[0], view[1], 0], zoom: view[2] });
+            }
+        }
+    }
+
+    // Restore from the hash present at load, then start tracking changes
+    async function start() {
+        const hash = window.location.hash.slice(1);
+        if (hash) await apply(new URLSearchParams(hash));
+        started = true;
+
+        // Any user interaction may change the state; the update is debounced
+        ['change', 'click', 'input', 'pointerup', 'wheel'].forEach(type => {
+            document.addEventListener(type, scheduleUpdate, { passive: true });
+        });
+        window.addEventListener('popstate', () => {
+            clearTimeout(updateTimer);
+            apply(new URLSearchParams(window.location.hash.slice(1)));
+        });
+
+        const copyBtn = document.getElementById('copyPermalink');
+        if (copyBtn) copyBtn.addEventListener('click', copyLink);
+
+        update();
+    }
+
+    // Full URL of the current state (e.g. for a copy-link button)
+    function getLink() {
+        return `${window.location.origin}${window.location.pathname}#${serialize().toString()}`;
+    }
+
+    // Copy the link to the clipboard, with brief feedback on the button
+    async function copyLink(event) {
+        const button = event.currentTarget;
+        const label = button.textContent;
+        clearTimeout(updateTimer);
+        update();
+        try {
+            await navigator.clipboard.writeText(getLink());
+            button.textContent = 'Link copied';
+        } catch (error) {
+            console.warn('Clipboard unavailable:', error);
+            window.prompt('Copy this link:', getLink());
+        }
+        setTimeout(() => { button.textContent = label; }, 1500);
+    }
+
+    window.Permalink = {
+        start: start,
+        scheduleUpdate: scheduleUpdate,
+        getLink: getLink
+    };
+
+})();
@@ -0,0 +1,165 @@
+// Purity heatmap over two swept hyperparameters
+// Each cell is the run whose configuration has the two chosen parameters at the
+// given values and every other parameter at its base value.
+
+// Latest renderPurityHeatmap() call; renders it supersedes are not drawn
+let heatmapRenderToken = 0;
+
+// Populate the parameter/region selectors and wire their events
+function setupPurityHeatmap() {
+    const xSelect = document.getElementById('heatmapParamX');
+    const ySelect = document.getElementById('heatmapParamY');
+    const regionSelect = document.getElementById('heatmapRegion');
+    if (!xSelect || !ySelect || !regionSelect) return;
+
+    const params = Object.keys(PARAM_CONFIG);
+    [xSelect, ySelect].forEach(select => {
+        select.innerHTML = '';
+        params.forEach(name => {
+            const opt = document.createElement('option');
+            opt.value = name;
+            opt.textContent = PARAM_CONFIG[name].displayName;
+            select.appendChild(opt);
+        });
+    });
+    if (params.length > 0) xSelect.value = params[0];
+    if (params.length > 1) ySelect.value = params[1];
+
+    regionSelect.innerHTML = '';
+    Object.entries(REGION_NAMES).forEach(([region, name]) => {
+        const opt = document.createElement('option');
+        opt.value = region;
+        opt.textContent = name;
+        regionSelect.appendChild(opt);
+    });
+    regionSelect.value = state.currentRegion;
+
+    [xSelect, ySelect, regionSelect].forEach(select => {
+        select.addEventListener('change', renderPurityHeatmap);
+    });
+}
+
+// Render the heatmap for the selected parameter pair and region
+async function renderPurityHeatmap() {
+    const container = document.getElementById('purityHeatmap');
+    const xSelect = document.getElementById('heatmapParamX');
+    const ySelect = document.getElementById('heatmapParamY');
+    const regionSelect = document.getElementById('heatmapRegion');
+    if (!container || !xSelect || !ySelect || !regionSelect || !state.metadata) return;
+
+    const xParam = xSelect.value;
+    const yParam = ySelect.value;
+    const region = regionSelect.value;
+    if (!PARAM_CONFIG[xParam] || !PARAM_CONFIG[yParam]) return;
+    const token = ++heatmapRenderToken;
+
+    const message = document.getElementById('heatmapMessage');
+    if (xParam === yParam) {
+        Plotly.purge(container);
+        if (message) {
+            message.textContent = 'Choose two different parameters.';
+            message.classList.remove('hidden');
+        }
+        return;
+    }
+    // Recomputing from cells would mean loading every run's cell file
+    if (getPrecomputedFilterKey() === null) {
+        Plotly.purge(container);
+        if (message) {
+            message.textContent = `The heatmap uses the precomputed aggregates, available at 0 and ${getHighGeneCutoff()} counts; `
+                + `move the gene-count threshold to one of these.`;
+            message.classList.remove('hidden');
+        }
+        return;
+    }
+    if (message) message.classList.add('hidden');
+
+    const xValues = PARAM_CONFIG[xParam].values;
+    const yValues = PARAM_CONFIG[yParam].values;
+    const defaults = {};
+    Object.entries(PARAM_CONFIG).forEach(([name, cfg]) => { defaults[name] = cfg.default; });
+
+    // Resolve the run for every grid cell
+    const grid = yValues.map(y => xValues.map(x => {
+        const config = Object.assign({}, defaults, { [xParam]: x, [yParam]: y });
+        return { config, runId: getRunIdForConfig(config) };
+    }));
+
+    const runIds = [...new Set(grid.flat().map(c => c.runId).filter(Boolean))];
+    const runData = {};
+    await Promise.all(runIds.map(async runId => {
+        try {
+            runData[runId] = await loadRunAggregate(runId);
+        } catch (err) {
+            console.warn(`Heatmap: failed to load ${runId}:`, err);
+        }
+    }));
+
+    // A later render (inputs, threshold or selected run changed) draws instead
+    if (token !== heatmapRenderToken) return;
+
+    const z = grid.map(row => row.map(c => (c.runId && runData[c.runId]) ? getRegionPurity(runData[c.runId], region) : null));
+    const text = grid.map((row, i) => row.map((c, j) => {
+        if (!c.runId) return '';
+        return z[i][j] == null ? c.runId : `${c.runId}<br>${z[i][j].toFixed(1)}%`;
+    }));
+    const hover = grid.map((row, i) => row.map((c, j) => {
+        const where = `${PARAM_CONFIG[xParam].displayName}=${formatParamValue(xValues[j])}, ${PARAM_CONFIG[yParam].displayName}=${formatParamValue(yValues[i])}`;
+        if (!c.runId) return `${where}<br>No run for this combination`;
+        return z[i][j] == null ? `${where}<br>${c.runId}: data unavailable` : `${where}<br>${c.runId}: ${z[i][j].toFixed(1)}%`;
+    }));
+
+    const xLabels = xValues.map(formatParamValue);
+    const yLabels = yValues.map(formatParamValue);
+
+    const trace = {
+        type: 'heatmap',
+        x: xLabels,
+        y: yLabels,
+        z,
+        text,
+        texttemplate: '%{text}',
+        hovertext: hover,
+        hovertemplate: '%{hovertext}<extra></extra>',
+        colorscale: 'Viridis',
+        zmin: 0,
+        zmax: 100,
+        hoverongaps: true,
+        colorbar: { title: 'Purity (%)', thickness: 12 }
+    };
+
+    // Outline the currently selected combination
+    const current = getCurrentConfig();
+    const cx = xValues.findIndex(v => paramValueKey(v) === paramValueKey(current[xParam]));
+    const cy = yValues.findIndex(v => paramValueKey(v) === paramValueKey(current[yParam]));
+    const othersAtBase = Object.keys(PARAM_CONFIG)
+        .filter(name => name !== xParam && name !== yParam)
+        .every(name => paramValueKey(current[name]) === paramValueKey(PARAM_CONFIG[name].default));
+    const shapes = (cx >= 0 && cy >= 0 && othersAtBase) ? [{
+        type: 'rect', xref: 'x', yref: 'y',
+        x0: cx - 0.5, x1: cx + 0.5, y0: cy - 0.5, y1: cy + 0.5,
+        line: { color: '#f56565', width: 3 }
+    }] : [];
+
+    const layout = {
+        xaxis: { title: PARAM_CONFIG[xParam].displayName, type: 'category', automargin: true },
+        yaxis: { title: PARAM_CONFIG[yParam].displayName, type: 'category', automargin: true },
+        shapes,
+        height: 420,
+        margin: { l: 60, r: 10, t: 10, b: 50 }
+    };
+
+    Plotly.newPlot(container, [trace], layout, {responsive: true});
+
+    // Clicking a cell selects that combination in the controls
+    if (container.removeAllListeners) container.removeAllListeners('plotly_click');
+    container.on('plotly_click', (event) => {
+        const point = event && event.points && event.points[0];
+        if (!point) return;
+        const j = xLabels.indexOf(point.x);
+        const i = yLabels.indexOf(point.y);
+        if (i < 0 || j < 0) return;
+        setParameterRadios(grid[i][j].config);
+        onParameterChange(null);
+    });
+}
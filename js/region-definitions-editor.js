@@ -0,0 +1,164 @@
+/**
+ * Region definitions editor
+ * Modal dialog for choosing which cell classes count as correct in each
+ * region. Lists the classes present in the region in the loaded runs.
+ */
+
+(function() {
+    'use strict';
+
+    // Working copy: region -> Set of expected class labels
+    let draft = null;
+
+    function $(id) {
+        return document.getElementById(id);
+    }
+
+    // Counts per class in a region for the reference and selected runs
+    function getRegionClassCounts(region) {
+        const rows = new Map();
+        const add = (runData, key) => {
+            const block = runData && runData.regions && runData.regions[region];
+            if (!block) return;
+            Object.entries(block.cell_type_counts || {}).forEach(([label, count]) => {
+                if (!rows.has(label)) rows.set(label, { label, ref: 0, sel: 0 });
+                rows.get(label)[key] = count;
+            });
+        };
+        add(state.refData, 'ref');
+        add(state.altData, 'sel');
+        // Keep expected classes listed even when absent from both runs
+        draft[region].forEach(label => {
+            if (!rows.has(label)) rows.set(label, { label, ref: 0, sel: 0 });
+        });
+        return Array.from(rows.values()).sort((a, b) => (b.ref + b.sel) - (a.ref + a.sel) || a.label.localeCompare(b.label));
+    }
+
+    function renderList() {
+        const region = $('regionDefRegion').value;
+        const filter = $('regionDefFilter').value.trim().toLowerCase();
+        const list = $('regionDefList');
+        list.innerHTML = '';
+
+        const rows = getRegionClassCounts(region).filter(r => !filter || r.label.toLowerCase().includes(filter));
+        const defaults = new Set(window.RegionDefinitions.getDefaultClasses(region));
+
+        rows.forEach(row => {
+            const item = document.createElement('label');
+            item.className = 'region-def-item';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = draft[region].has(row.label);
+            checkbox.addEventListener('change', () => {
+                if (checkbox.checked) draft[region].add(row.label);
+                else draft[region].delete(row.label);
+                renderSummary();
+            });
+
+            const name = document.createElement('span');
+            name.className = 'region-def-label';
+            name.textContent = row.label + (defaults.has(row.label) ? ' (shipped)' : '');
+
+            const counts = document.createElement('span');
+            counts.className = 'region-def-counts';
+            counts.textContent = `${row.ref.toLocaleString()} / ${row.sel.toLocaleString()}`;
+
+            item.appendChild(checkbox);
+            item.appendChild(name);
+            item.appendChild(counts);
+            list.appendChild(item);
+        });
+
+        if (rows.length === 0) {
+            list.textContent = 'No classes match.';
+        }
+        renderSummary();
+    }
+
+    // Purity of the draft definition for the shown region
+    function renderSummary() {
+        const region = $('regionDefRegion').value;
+        const summary = $('regionDefSummary');
+        const purity = (runData) => {
+            const block = runData && runData.regions && runData.regions[region];
+            if (!block || !block.total_cells) return '–';
+            let correct = 0;
+            Object.entries(block.cell_type_counts || {}).forEach(([label, count]) => {
+                if (draft[region].has(label)) correct += count;
+            });
+            return `${(correct / block.total_cells * 100).toFixed(1)}%`;
+        };
+        summary.textContent = `${draft[region].size} expected class(es) · purity (all cells): ` +
+            `${state.refRun} ${purity(state.refData)}, ${state.currentRun} ${purity(state.altData)}`;
+    }
+
+    function open() {
+        const modal = $('regionDefEditor');
+        if (!modal) return;
+        draft = {};
+        window.RegionDefinitions.getRegions().forEach(region => {
+            draft[region] = new Set(window.RegionDefinitions.getExpectedClasses(region));
+        });
+        const select = $('regionDefRegion');
+        if (state.currentRegion && draft[state.currentRegion]) select.value = state.currentRegion;
+        $('regionDefFilter').value = '';
+        renderList();
+        modal.classList.remove('hidden');
+    }
+
+    function close() {
+        const modal = $('regionDefEditor');
+        if (modal) modal.classList.add('hidden');
+    }
+
+    function saveAndApply() {
+        const definitions = {};
+        Object.entries(draft).forEach(([region, classes]) => { definitions[region] = Array.from(classes); });
+        window.RegionDefinitions.setDefinitions(definitions);
+        close();
+    }
+
+    function initialize() {
+        const modal = $('regionDefEditor');
+        if (!modal) return;
+
+        const select = $('regionDefRegion');
+        window.RegionDefinitions.getRegions().forEach(region => {
+            const opt = document.createElement('option');
+            opt.value = region;
+            opt.textContent = REGION_NAMES[region] || region;
+            select.appendChild(opt);
+        });
+
+        document.querySelectorAll('.edit-regions-btn').forEach(btn => btn.addEventListener('click', open));
+        select.addEventListener('change', renderList);
+        $('regionDefFilter').addEventListener('input', renderList);
+        $('regionDefReset').addEventListener('click', () => {
+            const region = select.value;
+            draft[region] = new Set(window.RegionDefinitions.getDefaultClasses(region));
+            renderList();
+        });
+        $('regionDefClose').addEventListener('click', close);
+        $('regionDefCancel').addEventListener('click', close);
+        $('regionDefSave').addEventListener('click', saveAndApply);
+
+        // Close on Escape or a click on the backdrop
+        modal.addEventListener('click', (e) => { if (e.target === modal) close(); });
+        window.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !modal.classList.contains('hidden')) close();
+        });
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initialize);
+    } else {
+        initialize();
+    }
+
+    window.RegionDefinitionsEditor = {
+        open: open,
+        close: close
+    };
+
+})();
@@ -0,0 +1,134 @@
+/**
+ * Region definitions
+ * The set of cell classes counted as correct in each region. Purity is
+ * recomputed from cell_type_counts under these definitions; the shipped
+ * defaults reproduce the precomputed purity in run_N.json.
+ * User definitions are stored in localStorage.
+ */
+
+(function() {
+    'use strict';
+
+    const STORAGE_KEY = 'pciSeqDashboard.regionDefinitions';
+
+    // Expected classes used to compute the shipped purity values
+    // (DG already counts the DG-PIR immature neurons)
+    const DEFAULT_DEFINITIONS = {
+        ca1: ['016 CA1-ProS Glut'],
+        ca2: ['025 CA2-FC-IG Glut'],
+        ca3: ['017 CA3 Glut'],
+        dg: ['037 DG Glut', '038 DG-PIR Ex IMN']
+    };
+
+    // region -> Set of expected class labels (only regions the user changed)
+    let overrides = {};
+
+    // Change listeners (purity views re-render when a definition changes)
+    const listeners = [];
+
+    function loadFromStorage() {
+        try {
+            const raw = window.localStorage && window.localStorage.getItem(STORAGE_KEY);
+            if (!raw) return;
+            const saved = JSON.parse(raw);
+            Object.entries(saved || {}).forEach(([region, classes]) => {
+                if (DEFAULT_DEFINITIONS[region] && Array.isArray(classes)) {
+                    overrides[region] = new Set(classes.filter(c => typeof c === 'string'));
+                }
+            });
+        } catch (error) {
+            console.warn('Could not read region definitions from localStorage:', error);
+        }
+    }
+
+    function saveToStorage() {
+        try {
+            if (!window.localStorage) return;
+            const plain = {};
+            Object.entries(overrides).forEach(([region, classes]) => { plain[region] = Array.from(classes); });
+            window.localStorage.setItem(STORAGE_KEY, JSON.stringify(plain));
+        } catch (error) {
+            console.warn('Could not save region definitions to localStorage:', error);
+        }
+    }
+
+    function notify() {
+        listeners.forEach(fn => {
+            try { fn(); } catch (error) { console.error('Region definition listener failed:', error); }
+        });
+    }
+
+    function getRegions() {
+        return Object.keys(DEFAULT_DEFINITIONS);
+    }
+
+    function getDefaultClasses(region) {
+        return (DEFAULT_DEFINITIONS[region] || []).slice();
+    }
+
+    function getExpectedClasses(region) {
+        return overrides[region] ? Array.from(overrides[region]) : getDefaultClasses(region);
+    }
+
+    function isExpected(region, label) {
+        return overrides[region] ? overrides[region].has(label) : (DEFAULT_DEFINITIONS[region] || []).includes(label);
+    }
+
+    // True when the region still uses the shipped definition
+    function isDefault(region) {
+        if (!overrides[region]) return true;
+        const defaults = DEFAULT_DEFINITIONS[region] || [];
+        return overrides[region].size === defaults.length && defaults.every(c => overrides[region].has(c));
+    }
+
+    function isAllDefault() {
+        return getRegions().every(isDefault);
+    }
+
+    // Replace the definitions of several regions at once ({region: [classes]})
+    function setDefinitions(definitions) {
+        Object.entries(definitions || {}).forEach(([region, classes]) => {
+            if (!DEFAULT_DEFINITIONS[region]) return;
+            overrides[region] = new Set(classes);
+            if (isDefault(region)) delete overrides[region];
+        });
+        saveToStorage();
+        notify();
+    }
+
+    function resetAll() {
+        overrides = {};
+        saveToStorage();
+        notify();
+    }
+
+    // Purity (%) of a region block ({total_cells, cell_type_counts}) under the current definition
+    function computePurity(region, regionData) {
+        if (!regionData || !regionData.total_cells) return 0;
+        let correct = 0;
+        Object.entries(regionData.cell_type_counts || {}).forEach(([label, count]) => {
+            if (isExpected(region, label)) correct += count;
+        });
+        return correct / regionData.total_cells * 100;
+    }
+
+    function onChange(fn) {
+        listeners.push(fn);
+    }
+
+    loadFromStorage();
+
+    window.RegionDefinitions = {
+        getRegions: getRegions,
+        getDefaultClasses: getDefaultClasses,
+        getExpectedClasses: getExpectedClasses,
+        isExpected: isExpected,
+        isDefault: isDefault,
+        isAllDefault: isAllDefault,
+        setDefinitions: setDefinitions,
+        resetAll: resetAll,
+        computePurity: computePurity,
+        onChange: onChange
+    };
+
+})();
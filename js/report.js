@@ -0,0 +1,233 @@
+/**
+ * Comparison Report
+ * Writes one self-contained HTML file for the current reference-vs-selected
+ * comparison: config diff, purity chart, metrics table, class counts and
+ * Sankey for every region, and a snapshot of the Spatial Viewer.
+ * Charts are embedded as SVG and the snapshot as PNG, so the file opens
+ * without the data/ folder.
+ */
+
+(function() {
+    'use strict';
+
+    const REGIONS = ['ca1', 'ca2', 'ca3', 'dg'];
+
+    const REPORT_CSS = `
+        body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; color: #2d3748; background: #f5f7fa; margin: 0; padding: 24px; }
+        main { max-width: 1200px; margin: 0 auto; }
+        h1 { font-size: 1.5rem; margin-bottom: 4px; }
+        h2 { font-size: 1.15rem; margin: 0 0 8px; }
+        h3 { font-size: 0.95rem; margin: 8px 0 4px; }
+        section { background: white; border-radius: 6px; box-shadow: 0 1px 2px rgba(0,0,0,0.06); padding: 12px 16px; margin-bottom: 16px; }
+        table { border-collapse: collapse; font-size: 0.85rem; }
+        th, td { border-bottom: 1px solid #e2e8f0; padding: 4px 10px; text-align: left; }
+        th { background: #f7fafc; }
+        img { max-width: 100%; display: block; }
+        .meta { color: #718096; font-size: 0.85rem; }
+        .note { color: #718096; font-size: 0.85rem; font-style: italic; }
+        .pair { display: grid; grid-template-columns: 1fr 1fr; gap: 12px; }
+        .positive { color: #2f855a; font-weight: 600; }
+        .negative { color: #c53030; font-weight: 600; }
+        .neutral { color: #718096; }
+        .custom-definition { font-size: 0.7rem; background: #ebf4ff; color: #434190; border-radius: 3px; padding: 0 4px; }
+        .shipped-purity { color: #a0aec0; font-size: 0.75rem; }
+    `;
+
+    // SVG data URL of a Plotly figure rendered off-screen
+    function figureImage(figure, width, height) {
+        const layout = Object.assign({}, figure.layout, { width, height });
+        return Plotly.toImage({ data: figure.data, layout }, { format: 'svg', width, height });
+    }
+
+    function image(url, alt) {
+        return `<img src="${url}" alt="${escapeHTML(alt)}">`;
+    }
+
+    function note(text) {
+        return text ? `<p class="note">${escapeHTML(text)}</p>` : '';
+    }
+
+    // Parameter changes of a run from the base configuration, as in displayConfigDiff
+    function configDiffRows(runId) {
+        const meta = state.metadata.runs.find(r => r.id === runId);
+        const diffs = getConfigDiffs(meta);
+        if (diffs.length === 0) return `<tr><td colspan="3">${escapeHTML(runId)}: base configuration</td></tr>`;
+        return diffs.map(d => (
+            `<tr><td>${escapeHTML(runId)}</td><td><code>${escapeHTML(d.parameter)}</code></td>`
+            + `<td>${escapeHTML(formatValue(d.base_value))} → ${escapeHTML(formatValue(d.alt_value))}</td></tr>`
+        )).join('');
+    }
+
+    function renderConfigSection() {
+        const runs = state.refRun === state.currentRun ? [state.refRun] : [state.refRun, state.currentRun];
+        return `<section>
+            <h2>Configuration</h2>
+            <p class="meta">Changes from the base run ${escapeHTML(state.metadata.base_run)}.</p>
+            <table><thead><tr><th>Run</th><th>Parameter</th><th>Base → run</th></tr></thead>
+            <tbody>${runs.map(configDiffRows).join('')}</tbody></table>
+        </section>`;
+    }
+
+    // Purity chart and metrics table, redrawn once threshold aggregates are in
+    async function renderOverviewSection() {
+        await loadCurrentThresholdAggregates();
+        renderPurityChart();
+        renderMetricsTable();
+
+        const purity = document.getElementById('purityChart');
+        const chart = purity && purity.data ? image(await figureImage(purity, 900, 380), 'Purity per region') : '';
+        const table = document.getElementById('metricsTable');
+        return `<section>
+            <h2>Regional purity</h2>
+            ${note(getPurityUnavailableNote())}
+            ${chart}
+            ${table ? table.innerHTML : ''}
+        </section>`;
+    }
+
+    // Class counts of both runs for every region (the whole section when the
+    // cells carry no region labels at this threshold)
+    async function renderCountsSection() {
+        const colorFn = state.countsGrouped ? (name => ClassGrouping.getGroupColor(name)) : getCellColor;
+        const prepare = counts => state.countsGrouped ? groupClassCounts(counts) : counts;
+
+        let scopes = REGIONS.map(region => ({
+            title: REGION_NAMES[region],
+            ref: getThresholdRegionBlock(state.refData, region),
+            alt: getThresholdRegionBlock(state.altData, region)
+        }));
+        let scopeNote = '';
+        if (scopes.some(scope => !scope.ref || !scope.alt)) {
+            scopes = [{
+                title: 'Whole section',
+                ref: getThresholdSectionBlock(state.refData),
+                alt: getThresholdSectionBlock(state.altData)
+            }];
+            scopeNote = `Cells carry no region labels, so counts at ≥${state.geneThreshold} counts cover the whole section.`;
+        }
+
+        let html = '';
+        for (const scope of scopes) {
+            if (!scope.ref || !scope.alt) continue;
+            const refImage = await figureImage(buildBarChartFigure(prepare(scope.ref.cell_type_counts), colorFn), 560, 380);
+            const altImage = await figureImage(buildBarChartFigure(prepare(scope.alt.cell_type_counts), colorFn), 560, 380);
+            html += `<h3>${escapeHTML(scope.title)}</h3>
+                <div class="pair">
+                    <div><p class="meta">${escapeHTML(state.refRun)} (reference), ${scope.ref.total_cells.toLocaleString()} cells</p>${image(refImage, `${scope.title} ${state.refRun}`)}</div>
+                    <div><p class="meta">${escapeHTML(state.currentRun)} (selected), ${scope.alt.total_cells.toLocaleString()} cells</p>${image(altImage, `${scope.title} ${state.currentRun}`)}</div>
+                </div>`;
+        }
+        return `<section>
+            <h2>Cell-type counts${state.countsGrouped ? ' (class groups)' : ''}</h2>
+            ${note(scopeNote)}
+            ${html || note('Counts could not be computed at this threshold.')}
+        </section>`;
+    }
+
+    // Sankey for every region (once for the whole section without region labels)
+    async function renderSankeySection() {
+        let html = '';
+        for (const region of REGIONS) {
+            let result;
+            try {
+                result = await getSankeyTransitions(region);
+            } catch (error) {
+                console.error(`Report: transitions for ${region} failed:`, error);
+                html += `<h3>${escapeHTML(REGION_NAMES[region])}</h3>${note('Transitions could not be computed: cell files failed to load.')}`;
+                continue;
+            }
+            const title = result.regional ? REGION_NAMES[region] : 'Whole section';
+            const url = await figureImage(buildSankeyFigure(result.transitions), 1100, 520);
+            html += `<h3>${escapeHTML(title)}</h3>${note(result.regional ? '' : 'Cells carry no region labels, so the flows cover the whole section.')}${image(url, `Sankey ${title}`)}`;
+            if (!result.regional) break;
+        }
+        return `<section>
+            <h2>Classification flow (${escapeHTML(state.refRun)} → ${escapeHTML(state.currentRun)})</h2>
+            ${html}
+        </section>`;
+    }
+
+    function renderSpatialSection() {
+        const viewer = window.SpatialViewer;
+        const canvas = viewer && viewer.snapshot ? viewer.snapshot.toCanvas() : null;
+        const body = canvas
+            ? `<p class="meta">${escapeHTML(viewer.state.currentRun)}, ${escapeHTML(viewer.state.colorMode)} colouring</p>${image(canvas.toDataURL('image/png'), 'Spatial view')}`
+            : note('The Spatial Viewer was not loaded; open the Flowchart & Spatial tab before generating the report to include it.');
+        return `<section><h2>Spatial view</h2>${body}</section>`;
+    }
+
+    async function buildReport() {
+        const title = `Comparison report: ${state.refRun} vs ${state.currentRun}`;
+        const link = window.Permalink ? window.Permalink.getLink() : window.location.href;
+        // Snapshot first, while the viewer still shows what the user set up
+        const spatial = renderSpatialSection();
+        const sections = [
+            renderConfigSection(),
+            await renderOverviewSection(),
+            await renderCountsSection(),
+            await renderSankeySection(),
+            spatial
+        ];
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHTML(title)}</title>
+<style>${REPORT_CSS}</style>
+</head>
+<body>
+<main>
+<h1>${escapeHTML(title)}</h1>
+<p class="meta">Generated ${escapeHTML(new Date().toLocaleString())} · gene-count threshold ${state.geneThreshold > 0 ? `≥${state.geneThreshold}` : 'all cells'} · class grouping ${escapeHTML(ClassGrouping.getActivePreset().name)}</p>
+<p class="meta">Dashboard view: <a href="${escapeHTML(link)}">${escapeHTML(link)}</a></p>
+${sections.join('\n')}
+</main>
+</body>
+</html>
+`;
+    }
+
+    // Build the report and save it, with brief feedback on the button
+    async function generate(event) {
+        const button = event && event.currentTarget;
+        if (!state.altData || (button && button.disabled)) return;
+        const label = button ? button.textContent : '';
+        if (button) {
+            button.disabled = true;
+            button.textContent = 'Generating…';
+        }
+
+        let feedback = label;
+        try {
+            const html = await buildReport();
+            downloadTextFile(`report_${state.refRun}_vs_${state.currentRun}_g${state.geneThreshold}.html`, html, 'text/html');
+        } catch (error) {
+            console.error('Report generation failed:', error);
+            feedback = 'Report failed';
+        }
+
+        if (button) {
+            button.disabled = false;
+            button.textContent = feedback;
+            if (feedback !== label) setTimeout(() => { button.textContent = label; }, 1500);
+        }
+    }
+
+    function setup() {
+        const button = document.getElementById('generateReport');
+        if (button) button.addEventListener('click', generate);
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', setup);
+    } else {
+        setup();
+    }
+
+    window.Report = {
+        generate: generate,
+        buildReport: buildReport
+    };
+
+})();
@@ -0,0 +1,95 @@
+/**
+ * Request Lifecycle
+ * One active request per channel (e.g. 'run' for switching the selected run).
+ * Starting a request aborts the previous one of its channel through its
+ * AbortController, and its generation token lets late results be dropped.
+ * While any request is active the dashboard shows a single loading state:
+ * the #requestStatus note and the `request-loading` class on <body>.
+ */
+
+(function() {
+    'use strict';
+
+    // channel -> active request
+    const active = new Map();
+    let generation = 0;
+
+    function isAbortError(error) {
+        return !!error && error.name === 'AbortError';
+    }
+
+    function updateLoadingState() {
+        const labels = Array.from(active.values()).map(request => request.label).filter(Boolean);
+        document.body.classList.toggle('request-loading', active.size > 0);
+        const status = document.getElementById('requestStatus');
+        if (status) {
+            status.textContent = labels.length ? `Loading ${Array.from(new Set(labels)).join(', ')}…` : '';
+            status.classList.toggle('hidden', labels.length === 0);
+        }
+    }
+
+    function finish(request) {
+        if (active.get(request.channel) !== request) return;
+        active.delete(request.channel);
+        updateLoadingState();
+    }
+
+    // Start a request on a channel, aborting the one it replaces
+    function begin(channel, label = '') {
+        const previous = active.get(channel);
+        if (previous) previous.controller.abort();
+
+        const request = {
+            channel,
+            label,
+            generation: ++generation,
+            controller: new AbortController(),
+            get signal() { return this.controller.signal; },
+            isCurrent() { return active.get(channel) === request; },
+            // Throw an AbortError when superseded (call after each await)
+            throwIfStale() {
+                if (!request.isCurrent()) throw new DOMException(`Superseded ${channel} request`, 'AbortError');
+            }
+        };
+        active.set(channel, request);
+        updateLoadingState();
+        return request;
+    }
+
+    // Run task(request) as the channel's current request. Resolves to its result,
+    // or to undefined when a newer request superseded it (stale results dropped).
+    async function run(channel, label, task) {
+        const request = begin(channel, label);
+        try {
+            const result = await task(request);
+            return request.isCurrent() ? result : undefined;
+        } catch (error) {
+            if (isAbortError(error) || !request.isCurrent()) return undefined;
+            throw error;
+        } finally {
+            finish(request);
+        }
+    }
+
+    // Abort a channel's request without starting a new one
+    function cancel(channel) {
+        const request = active.get(channel);
+        if (!request) return;
+        request.controller.abort();
+        finish(request);
+    }
+
+    function isActive(channel) {
+        return active.has(channel);
+    }
+
+    window.RequestManager = {
+        begin: begin,
+        run: run,
+        finish: finish,
+        cancel: cancel,
+        isActive: isActive,
+        isAbortError: isAbortError
+    };
+
+})();
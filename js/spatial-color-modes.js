@@ -0,0 +1,192 @@
+/**
+ * Colour-by Modes for Spatial Viewer
+ * Continuous colourings (gene counts, z-plane depth) drawn through a colormap
+ * with a colour bar in the legend, and the binary "matches the region's
+ * expected class" colouring (see RegionDefinitions), which needs the region
+ * boundaries to tag cells. The class, group and change modes live in
+ * spatial-rendering.js and spatial-diff.js.
+ */
+
+(function() {
+    'use strict';
+
+    window.SpatialViewer = window.SpatialViewer || {};
+    const state = window.SpatialViewer.state;
+
+    // Gene counts are skewed: the colormap saturates at this quantile
+    const GENE_COUNT_QUANTILE = 0.99;
+
+    // Value bins listed for a continuous mode (snapshot legend)
+    const SCALE_BINS = 5;
+
+    // Cells without a value in a scale scored on the page
+    const NO_VALUE_COLOR = [90, 90, 90];
+
+    const EXPECTED_CATEGORIES = [
+        { key: 'expected',   label: "Region's expected class", color: [34, 197, 94] },
+        { key: 'unexpected', label: 'Other class',             color: [239, 68, 68] },
+        { key: 'outside',    label: 'Outside the regions',     color: [90, 90, 90] }
+    ];
+
+    EXPECTED_CATEGORIES.forEach(cat => {
+        if (!(cat.key in state.expectedCategoryVisible)) state.expectedCategoryVisible[cat.key] = true;
+    });
+
+    // cell table -> { genes, depth } scales
+    const scaleCache = new WeakMap();
+
+    function toRgb(colorString) {
+        const rgb = d3.rgb(colorString);
+        return [Math.round(rgb.r), Math.round(rgb.g), Math.round(rgb.b)];
+    }
+
+    function buildGeneScale(table) {
+        const values = table.columns.gene_counts.filter(Number.isFinite).sort();
+        const min = values.length ? values[0] : 0;
+        const top = values.length ? values[Math.floor((values.length - 1) * GENE_COUNT_QUANTILE)] : 1;
+        const max = Math.max(top, min + 1);
+        return {
+            title: 'Gene counts',
+            column: 'gene_counts',
+            cellValue: (t, i) => t.columns.gene_counts[i],
+            domain: [min, max],
+            saturated: max < values[values.length - 1],
+            color: t => toRgb(d3.interpolateViridis(t))
+        };
+    }
+
+    function buildDepthScale(table) {
+        let zValues = state.geom.zValues || [];
+        if (zValues.length === 0) zValues = Array.from(new Set(table.columns.z));
+        const min = zValues.length ? Math.min(...zValues) : 0;
+        const max = zValues.length ? Math.max(...zValues) : 0;
+        return {
+            title: 'Z-plane',
+            column: 'z',
+            cellValue: (t, i) => t.columns.z[i],
+            domain: [min, max],
+            saturated: false,
+            color: t => toRgb(d3.interpolatePlasma(t))
+        };
+    }
+
+    // Colour scale of a continuous mode ('genes', 'depth' or 'stability'), or null
+    // for the other modes (and before a run is loaded): { title, column (filter
+    // column, null when the values are only known on the page), cellValue(table,
+    // row), domain, color(t) }
+    function getScale(mode, table = state.cells) {
+        if (mode === 'stability') return window.SpatialViewer.stability.getScale();
+        if ((mode !== 'genes' && mode !== 'depth') || !table) return null;
+        let scales = scaleCache.get(table);
+        if (!scales) {
+            scales = {};
+            scaleCache.set(table, scales);
+        }
+        if (!scales[mode]) scales[mode] = mode === 'genes' ? buildGeneScale(table) : buildDepthScale(table);
+        return scales[mode];
+    }
+
+    function getScaleColor(scale, value) {
+        const [min, max] = scale.domain;
+        const t = max > min ? (value - min) / (max - min) : 0;
+        return scale.color(Math.max(0, Math.min(1, Number.isFinite(t) ? t : 0)));
+    }
+
+    // Colour of a row of a cell table in a scale (grey without a value)
+    function getCellColor(scale, table, i) {
+        const value = scale.cellValue(table, i);
+        return Number.isFinite(value) ? getScaleColor(scale, value) : NO_VALUE_COLOR;
+    }
+
+    // Cells per value bin of a scale over rows of a table ({label, count, color}),
+    // in value order
+    function getScaleBins(scale, table, rows) {
+        const [min, max] = scale.domain;
+        const width = (max - min) / SCALE_BINS;
+        const bins = Array.from({ length: SCALE_BINS }, (_, i) => {
+            const lo = min + i * width;
+            const last = i === SCALE_BINS - 1;
+            const hi = last ? max : lo + width;
+            const label = last && scale.saturated
+                ? `≥${formatValue(lo)}`
+                : `${formatValue(lo)}–${formatValue(hi)}`;
+            return { label, count: 0, color: getScaleColor(scale, (lo + hi) / 2) };
+        });
+        rows.forEach(i => {
+            const value = scale.cellValue(table, i);
+            if (!Number.isFinite(value)) return;
+            const bin = width > 0 ? Math.floor((value - min) / width) : 0;
+            bins[Math.max(0, Math.min(SCALE_BINS - 1, bin))].count++;
+        });
+        return bins;
+    }
+
+    function formatValue(value) {
+        return Number.isInteger(value) ? String(value) : value.toFixed(1);
+    }
+
+    // Legend colour bar: gradient with the domain at its ends
+    function buildColorBar(scale, visibleCount) {
+        const wrap = document.createElement('div');
+        wrap.className = 'spatial-color-bar';
+
+        const title = document.createElement('div');
+        title.className = 'spatial-color-bar-title';
+        title.textContent = `${scale.title} (${visibleCount.toLocaleString()} cells)`;
+
+        const stops = Array.from({ length: 11 }, (_, i) => {
+            const [r, g, b] = scale.color(i / 10);
+            return `rgb(${r}, ${g}, ${b}) ${i * 10}%`;
+        });
+        const gradient = document.createElement('div');
+        gradient.className = 'spatial-color-bar-gradient';
+        gradient.style.background = `linear-gradient(to right, ${stops.join(', ')})`;
+
+        const ticks = document.createElement('div');
+        ticks.className = 'spatial-color-bar-ticks';
+        const [min, max] = scale.domain;
+        [min, (min + max) / 2, max].forEach((value, i) => {
+            const tick = document.createElement('span');
+            tick.textContent = (i === 2 && scale.saturated ? '≥' : '') + formatValue(value);
+            ticks.appendChild(tick);
+        });
+
+        wrap.appendChild(title);
+        wrap.appendChild(gradient);
+        wrap.appendChild(ticks);
+        return wrap;
+    }
+
+    // 'expected', 'unexpected' or 'outside' (cell in no region, or no boundaries)
+    // for a row of a cell table
+    function getExpectedCategory(table, i) {
+        const region = window.CellTable.getRegion(table, i);
+        if (!region) return 'outside';
+        return window.RegionDefinitions.isExpected(region, window.CellTable.getClass(table, i)) ? 'expected' : 'unexpected';
+    }
+
+    function getColorForExpected(key) {
+        const cat = EXPECTED_CATEGORIES.find(c => c.key === key);
+        return cat ? cat.color : [128, 128, 128];
+    }
+
+    // Recolour when the expected classes of a region change
+    window.RegionDefinitions.onChange(() => {
+        if (state.colorMode !== 'expected' || !state.cells) return;
+        window.SpatialViewer.updateLegend();
+        window.SpatialViewer.render();
+    });
+
+    // Export functions
+    window.SpatialViewer.colorModes = {
+        EXPECTED_CATEGORIES: EXPECTED_CATEGORIES,
+        getScale: getScale,
+        getScaleBins: getScaleBins,
+        getCellColor: getCellColor,
+        toRgb: toRgb,
+        buildColorBar: buildColorBar,
+        getExpectedCategory: getExpectedCategory,
+        getColorForExpected: getColorForExpected
+    };
+
+})();
@@ -88,10 +88,19 @@
         return state.cellClassColors[className] || [128, 128, 128];
     }
 
+    // Color of the class group (active class grouping) a class belongs to
+    const groupColorCache = {};
+    function getColorForGroup(groupName) {
+        const hex = window.ClassGrouping.getGroupColor(groupName);
+        if (!groupColorCache[hex]) groupColorCache[hex] = hexToRgb(hex);
+        return groupColorCache[hex];
+    }
+
     // Export functions
     window.SpatialViewer.colors = {
         generateColorPalette: generateColorPalette,
         getColorForClass: getColorForClass,
+        getColorForGroup: getColorForGroup,
         loadYaoColorScheme: loadYaoColorScheme
     };
 
@@ -13,7 +13,15 @@
     // Initialize UI controls
     function initializeControls() {
         setupShowHideButtons();
-        setupPlaneControls();
+        setupColorMode();
+        setupSplitToggle();
+        setupRegionOutlines();
+        window.SpatialViewer.selection.initialize();
+        window.SpatialViewer.search.initialize();
+        window.SpatialViewer.inspector.initialize();
+        window.SpatialViewer.stability.initialize();
+        window.SpatialViewer.planes.initialize();
+        setupOrbitControls();
         setupLegendFilter();
         setupWindowResize();
     }
@@ -32,65 +40,72 @@
         }
     }
 
-    // Setup plane controls for 3D filtering
-    function setupPlaneControls() {
-        const planeToggleBtn = document.getElementById('spatialPlaneToggle');
-        const planeSlider = document.getElementById('spatialPlaneSlider');
-        const planeLabel = document.getElementById('spatialPlaneLabel');
-
-        function setPlaneFilter(enabled) {
-            state.planeFilterEnabled = !!enabled;
-            if (planeToggleBtn) planeToggleBtn.classList.toggle('active', state.planeFilterEnabled);
-
-            if (state.planeFilterEnabled) {
-                const zValues = state.geom.zValues || [];
-                if (zValues.length === 0) {
-                    window.SpatialViewer.showUserNotice('No plane data available for this run.');
-                    state.planeFilterEnabled = false;
-                    if (planeToggleBtn) planeToggleBtn.classList.remove('active');
-                    return;
-                }
+    // Setup colour-by selector (class, group, continuous, expected class, change)
+    function setupColorMode() {
+        const select = document.getElementById('spatialColorMode');
+        if (!select) return;
+        select.value = state.colorMode;
+        select.addEventListener('change', (e) => {
+            window.SpatialViewer.diff.setColorMode(e.target.value);
+        });
+        window.SpatialViewer.diff.updateReferenceLabel();
+    }
 
-                const minP = Math.min(...zValues);
-                const maxP = Math.max(...zValues);
-
-                if (planeSlider) {
-                    planeSlider.min = String(minP);
-                    planeSlider.max = String(maxP);
-                    planeSlider.disabled = false;
-                    if (state.selectedPlane === null) {
-                        // Default to middle plane when enabling
-                        state.selectedPlane = Math.floor((minP + maxP) / 2);
-                    }
-                    planeSlider.value = String(state.selectedPlane);
-                }
-                if (planeLabel) planeLabel.textContent = `Plane: ${state.selectedPlane}`;
-            } else {
-                state.selectedPlane = null;
-                if (planeSlider) planeSlider.disabled = true;
-                if (planeLabel) planeLabel.textContent = 'Plane: all';
-            }
+    // Setup split layout toggle (reference | selected side by side)
+    function setupSplitToggle() {
+        const splitBtn = document.getElementById('spatialSplitToggle');
+        if (!splitBtn) return;
+        splitBtn.addEventListener('click', () => {
+            window.SpatialViewer.split.setSplitView(!state.splitView);
+        });
+    }
 
-            window.SpatialViewer.render();
+    // Setup region outline toggle; outlines follow the dashboard region selector
+    function setupRegionOutlines() {
+        const checkbox = document.getElementById('spatialRegionOutlines');
+        if (checkbox) {
+            checkbox.checked = state.regions.showOutlines;
+            checkbox.addEventListener('change', (e) => {
+                window.SpatialViewer.regions.setShowOutlines(e.target.checked);
+            });
         }
 
-        if (planeToggleBtn) {
-            planeToggleBtn.addEventListener('click', () => {
-                if (!state.geom.is3D || !state.geom.zValues || state.geom.zValues.length === 0) {
-                    window.SpatialViewer.showUserNotice('Plane filter is available only for 3D data.');
-                    return;
-                }
-                setPlaneFilter(!state.planeFilterEnabled);
+        const regionSelect = document.getElementById('regionSelect');
+        state.regions.highlighted = regionSelect ? regionSelect.value : null;
+
+        window.SpatialViewer.regions.loadBoundaries().then(() => {
+            if (checkbox) checkbox.disabled = !window.SpatialViewer.regions.hasBoundaries();
+            if (state.cells) window.SpatialViewer.render();
+        });
+    }
+
+    // Setup 3D orbit view toggle and z-scale slider
+    function setupOrbitControls() {
+        const orbit = window.SpatialViewer.orbit;
+        const toggleBtn = document.getElementById('spatialOrbitToggle');
+        const zScaleSlider = document.getElementById('spatialZScale');
+
+        if (toggleBtn) {
+            toggleBtn.addEventListener('click', () => {
+                orbit.setOrbitView(!state.orbit.enabled);
             });
         }
 
-        if (planeSlider) {
-            planeSlider.addEventListener('input', (e) => {
-                state.selectedPlane = parseInt(e.target.value, 10);
-                if (planeLabel) planeLabel.textContent = `Plane: ${state.selectedPlane}`;
-                window.SpatialViewer.render();
+        if (zScaleSlider) {
+            zScaleSlider.addEventListener('input', (e) => {
+                orbit.setZScale(parseFloat(e.target.value));
             });
         }
+
+        orbit.updateControls();
+    }
+
+    // Set the legend filter text (input and state)
+    function setLegendFilter(text) {
+        const legendFilterInput = document.getElementById('spatialLegendFilter');
+        if (legendFilterInput) legendFilterInput.value = text || '';
+        state.legendFilter = text || '';
+        window.SpatialViewer.updateLegend();
     }
 
     // Setup legend filter
@@ -139,7 +154,8 @@
 
     // Export initialization function
     window.SpatialViewer.uiControls = {
-        initializeControls: initializeControls
+        initializeControls: initializeControls,
+        setLegendFilter: setLegendFilter
     };
 
 })();
\ No newline at end of file
@@ -0,0 +1,147 @@
+/**
+ * Per-cell change map for Spatial Viewer
+ * Matches cells of the loaded run with the reference run by id and
+ * classifies each one as unchanged, reassigned, newly Zero or rescued from Zero
+ */
+
+(function() {
+    'use strict';
+
+    window.SpatialViewer = window.SpatialViewer || {};
+    const state = window.SpatialViewer.state;
+
+    // Diff categories in legend order
+    const DIFF_CATEGORIES = [
+        { key: 'unchanged',  label: 'Unchanged',          color: [100, 100, 100] },
+        { key: 'reassigned', label: 'Reassigned',         color: [255, 159, 28] },
+        { key: 'newlyZero',  label: 'Newly Zero',         color: [239, 68, 68] },
+        { key: 'rescued',    label: 'Rescued from Zero',  color: [56, 189, 248] },
+        { key: 'unmatched',  label: 'Not in reference',   color: [168, 85, 247] }
+    ];
+
+    DIFF_CATEGORIES.forEach(cat => {
+        if (!(cat.key in state.diffCategoryVisible)) state.diffCategoryVisible[cat.key] = true;
+    });
+
+    // In-flight reference load, so concurrent callers share one fetch
+    let pendingLoad = null;
+
+    // Load the reference run's cells (matched by id through CellTable.indexOfId)
+    async function loadReferenceCells(runId) {
+        if (state.reference.runId === runId && state.reference.cells) return true;
+        if (pendingLoad && pendingLoad.runId === runId) return pendingLoad.promise;
+
+        const promise = (async () => {
+            try {
+                const table = await window.SpatialViewer.loader.fetchCellsData(runId);
+                // A newer reference may have been requested meanwhile
+                if (state.reference.runId !== runId) return false;
+                state.reference.cells = table;
+
+                // Colours for classes that only occur in the reference run
+                const missing = table.classes
+                    .filter(name => !(name in state.cellClassColors))
+                    .sort();
+                if (missing.length > 0) await window.SpatialViewer.colors.generateColorPalette(missing);
+                if (window.DEBUG) console.log('Loaded', table.count, 'reference cells from', runId);
+                return true;
+            } catch (error) {
+                console.error(`Failed to load reference cells for ${runId}:`, error);
+                window.SpatialViewer.showUserNotice(`Could not load cells of reference run ${runId}.`);
+                return false;
+            } finally {
+                if (pendingLoad && pendingLoad.runId === runId) pendingLoad = null;
+            }
+        })();
+        pendingLoad = { runId, promise };
+        return promise;
+    }
+
+    // Diff category key of a row of a cell table against the reference run
+    function getDiffCategory(table, i) {
+        const refTable = state.reference.cells;
+        const j = refTable ? window.CellTable.indexOfId(refTable, table.columns.id[i]) : -1;
+        if (j < 0) return 'unmatched';
+        const label = window.CellTable.getClass(table, i);
+        const refLabel = window.CellTable.getClass(refTable, j);
+        if (refLabel === label) return 'unchanged';
+        if (label === 'Zero') return 'newlyZero';
+        if (refLabel === 'Zero') return 'rescued';
+        return 'reassigned';
+    }
+
+    // Class of a cell in the reference run (null if unmatched or not loaded)
+    function getReferenceClass(cell) {
+        const refTable = state.reference.cells;
+        const j = refTable ? window.CellTable.indexOfId(refTable, cell.id) : -1;
+        return j < 0 ? null : window.CellTable.getClass(refTable, j);
+    }
+
+    function getColorForCategory(key) {
+        const cat = DIFF_CATEGORIES.find(c => c.key === key);
+        return cat ? cat.color : [128, 128, 128];
+    }
+
+    // Update the sidebar label naming the reference run
+    function updateReferenceLabel() {
+        const label = document.getElementById('spatialReferenceLabel');
+        if (label) label.textContent = state.reference.runId ? `Reference: ${state.reference.runId}` : '';
+    }
+
+    // Reference cells are needed by the diff colouring and the split layout
+    function needsReferenceCells() {
+        return state.colorMode === 'diff' || state.splitView;
+    }
+
+    // Set the reference run; cells are fetched only while something needs them
+    async function setReferenceRun(runId) {
+        if (state.reference.runId === runId) return;
+        state.reference.runId = runId;
+        state.reference.cells = null;
+        updateReferenceLabel();
+
+        if (!needsReferenceCells()) return;
+        const loaded = await loadReferenceCells(runId);
+        if (loaded && state.reference.runId === runId) {
+            window.SpatialViewer.updateLegend();
+            window.SpatialViewer.render();
+        }
+    }
+
+    // Switch the colour mode (class, group, gene counts, depth, expected class,
+    // stability across runs or change against the reference run)
+    async function setColorMode(mode) {
+        state.colorMode = mode;
+        const stability = window.SpatialViewer.stability;
+        stability.updateControls();
+        stability.updatePanel();
+        if (mode === 'diff' && state.reference.runId) {
+            await loadReferenceCells(state.reference.runId);
+            // The mode may have been switched back while loading
+            if (state.colorMode !== mode) return;
+        }
+        if (mode === 'stability') {
+            // Cells stay grey until their scores are in
+            window.SpatialViewer.updateLegend();
+            window.SpatialViewer.render();
+            await stability.load();
+            if (state.colorMode !== mode) return;
+        }
+        window.SpatialViewer.updateLegend();
+        window.SpatialViewer.render();
+        stability.updatePanel();
+    }
+
+    // Export functions
+    window.SpatialViewer.diff = {
+        DIFF_CATEGORIES: DIFF_CATEGORIES,
+        loadReferenceCells: loadReferenceCells,
+        getDiffCategory: getDiffCategory,
+        getReferenceClass: getReferenceClass,
+        getColorForCategory: getColorForCategory,
+        setReferenceRun: setReferenceRun,
+        setColorMode: setColorMode,
+        updateReferenceLabel: updateReferenceLabel
+    };
+
+})();
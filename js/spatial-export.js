@@ -0,0 +1,133 @@
+/**
+ * Spatial Viewer Snapshot
+ * Composites the deck.gl canvas (both views in split mode) with a title,
+ * the visible legend entries and a scale bar into a PNG.
+ *
+ * The scale bar is in cell coordinates (image pixels); the cell files carry
+ * no physical pixel size.
+ */
+
+(function() {
+    'use strict';
+
+    window.SpatialViewer = window.SpatialViewer || {};
+    const state = window.SpatialViewer.state;
+
+    const BACKGROUND = '#0a0a0a';
+    const TEXT_COLOR = '#e5e5e5';
+    const FONT = 'Segoe UI, Tahoma, Geneva, Verdana, sans-serif';
+    const LEGEND_WIDTH = 260;   // CSS px
+    const LEGEND_MAX_ENTRIES = 30;
+    const TITLE_HEIGHT = 28;    // CSS px
+
+    // Draw the current frame and return the deck canvas (read immediately, as
+    // the WebGL drawing buffer is not preserved between frames)
+    function grabCanvas(deckInstance) {
+        if (!deckInstance) return null;
+        deckInstance.redraw('export');
+        return deckInstance.getCanvas ? deckInstance.getCanvas() : deckInstance.canvas;
+    }
+
+    // Round length (1, 2 or 5 x 10^k) close to a target
+    function niceLength(target) {
+        const power = Math.pow(10, Math.floor(Math.log10(target)));
+        const fraction = target / power;
+        const step = fraction >= 5 ? 5 : fraction >= 2 ? 2 : 1;
+        return step * power;
+    }
+
+    // Scale bar in the bottom-left corner of a view (x, y, width, height in CSS px)
+    function drawScaleBar(ctx, x, y, width, height) {
+        const zoom = state.viewState ? state.viewState.zoom : 0;
+        const pxPerUnit = Math.pow(2, zoom);
+        const length = niceLength((width / 5) / pxPerUnit);
+        const barPx = length * pxPerUnit;
+        const left = x + 16;
+        const bottom = y + height - 16;
+
+        ctx.fillStyle = TEXT_COLOR;
+        ctx.fillRect(left, bottom - 4, barPx, 4);
+        ctx.font = `12px ${FONT}`;
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(`${length.toLocaleString()} px`, left, bottom - 8);
+    }
+
+    function toRgb(color) {
+        return Array.isArray(color) ? `rgb(${color[0]}, ${color[1]}, ${color[2]})` : color;
+    }
+
+    // Visible legend entries, largest first in class mode (capped)
+    function drawLegend(ctx, x, y, height) {
+        const entries = window.SpatialViewer.rendering.getLegendEntries().filter(entry => entry.visible);
+        const shown = entries.slice(0, LEGEND_MAX_ENTRIES);
+
+        ctx.font = `12px ${FONT}`;
+        ctx.textBaseline = 'middle';
+        const rowHeight = Math.min(20, (height - 40) / Math.max(1, shown.length + 1));
+        let rowY = y + 16;
+        shown.forEach(entry => {
+            ctx.fillStyle = toRgb(entry.color);
+            ctx.fillRect(x, rowY - 6, 12, 12);
+            ctx.fillStyle = TEXT_COLOR;
+            const label = entry.label.length > 30 ? `${entry.label.slice(0, 29)}…` : entry.label;
+            ctx.fillText(`${label} (${entry.count.toLocaleString()})`, x + 18, rowY);
+            rowY += rowHeight;
+        });
+        if (entries.length > shown.length) {
+            ctx.fillStyle = '#a0a0a0';
+            ctx.fillText(`+${entries.length - shown.length} more`, x, rowY);
+        }
+    }
+
+    // Composite canvas of the current view; null when the viewer is not ready
+    function toCanvas() {
+        const main = grabCanvas(state.deckgl);
+        // A hidden tab leaves the canvas without a size
+        if (!main || !main.width || !main.height || !state.cells) return null;
+        const compare = state.splitView ? grabCanvas(state.compareDeck) : null;
+
+        // Work in CSS px and scale by the device pixel ratio of the deck canvas
+        const ratio = main.width / (main.clientWidth || main.width);
+        const viewWidth = main.width / ratio;
+        const viewHeight = main.height / ratio;
+        const views = compare
+            ? [{ canvas: compare, label: `${state.reference.runId} (reference)` }, { canvas: main, label: `${state.currentRun} (selected)` }]
+            : [{ canvas: main, label: state.currentRun }];
+
+        const out = document.createElement('canvas');
+        out.width = Math.round((viewWidth * views.length + LEGEND_WIDTH) * ratio);
+        out.height = Math.round((viewHeight + TITLE_HEIGHT) * ratio);
+        const ctx = out.getContext('2d');
+        ctx.scale(ratio, ratio);
+        ctx.fillStyle = BACKGROUND;
+        ctx.fillRect(0, 0, out.width, out.height);
+
+        views.forEach((view, i) => {
+            const x = i * viewWidth;
+            ctx.drawImage(view.canvas, x, TITLE_HEIGHT, viewWidth, viewHeight);
+            ctx.fillStyle = TEXT_COLOR;
+            ctx.font = `bold 14px ${FONT}`;
+            ctx.textBaseline = 'middle';
+            ctx.fillText(view.label || '', x + 12, TITLE_HEIGHT / 2);
+            // A scale bar only holds for the flat projection
+            if (!state.orbit.enabled) drawScaleBar(ctx, x, TITLE_HEIGHT, viewWidth, viewHeight);
+        });
+
+        drawLegend(ctx, viewWidth * views.length + 12, TITLE_HEIGHT, viewHeight);
+        return out;
+    }
+
+    // PNG blob of the current view (null when the viewer is not ready)
+    function toBlob() {
+        const canvas = toCanvas();
+        if (!canvas) return Promise.resolve(null);
+        return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    }
+
+    // Export functions
+    window.SpatialViewer.snapshot = {
+        toCanvas: toCanvas,
+        toBlob: toBlob
+    };
+
+})();
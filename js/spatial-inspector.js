@@ -0,0 +1,215 @@
+/**
+ * Cell Inspector for Spatial Viewer
+ * Clicking a cell pins a panel with its class and gene counts in every run of
+ * the dashboard, grouped by parameter sweep (see getSweepGroups in
+ * sweep-charts.js), with a strip chart of class against parameter value per
+ * sweep. Cells are matched across runs by id; the cell files come from the
+ * shared data cache.
+ */
+
+(function() {
+    'use strict';
+
+    window.SpatialViewer = window.SpatialViewer || {};
+    const state = window.SpatialViewer.state;
+
+    const MISSING_CLASS = 'not present';
+
+    // Cell shown in the panel ({ id, runId: run shown when it was clicked }), null when closed
+    let inspected = null;
+
+    // Every run of the sweeps, each once
+    function getInspectedRuns() {
+        const runIds = [];
+        state.sweeps.forEach(sweep => sweep.runs.forEach(run => {
+            if (!runIds.includes(run.runId)) runIds.push(run.runId);
+        }));
+        if (runIds.length === 0 && state.currentRun) runIds.push(state.currentRun);
+        return runIds;
+    }
+
+    // runId -> the cell in that run (null when absent, undefined when the run failed to load)
+    async function loadCellAcrossRuns(id, runIds, signal) {
+        const loader = window.SpatialViewer.loader;
+        const found = await Promise.all(runIds.map(runId => loader.fetchCellsData(runId, { signal })
+            .then(table => window.CellTable.getCellById(table, id))
+            .catch(error => {
+                if (window.RequestManager.isAbortError(error)) throw error;
+                console.warn(`Cell inspector: could not load ${runId}:`, error);
+                return undefined;
+            })));
+        const byRun = new Map();
+        runIds.forEach((runId, i) => byRun.set(runId, found[i]));
+        return byRun;
+    }
+
+    function toRgb(color) {
+        return `rgb(${color[0]}, ${color[1]}, ${color[2]})`;
+    }
+
+    function formatClass(cell) {
+        if (cell === undefined) return 'failed to load';
+        return cell ? cell.class : MISSING_CLASS;
+    }
+
+    // Most frequent class over the runs the cell is present in, with its run count
+    function getModalClass(byRun) {
+        const counts = {};
+        byRun.forEach(cell => {
+            if (cell) counts[cell.class] = (counts[cell.class] || 0) + 1;
+        });
+        const sorted = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+        const present = Object.values(counts).reduce((sum, n) => sum + n, 0);
+        return sorted.length ? { label: sorted[0][0], count: sorted[0][1], present, distinct: sorted.length } : null;
+    }
+
+    function buildSweepTable(sweep, byRun) {
+        const colors = window.SpatialViewer.colors;
+        const table = document.createElement('table');
+        table.innerHTML = `<thead><tr><th>${sweep.displayName}</th><th>Run</th><th>Class</th><th>Gene counts</th></tr></thead>`;
+        const body = document.createElement('tbody');
+        sweep.runs.forEach(run => {
+            const cell = byRun.get(run.runId);
+            const row = document.createElement('tr');
+            if (run.runId === inspected.runId) row.className = 'inspector-current';
+
+            const value = document.createElement('td');
+            value.textContent = run.label + (run.isBase ? ' (base)' : '');
+            const runCell = document.createElement('td');
+            runCell.textContent = run.runId;
+            const classCell = document.createElement('td');
+            if (cell) {
+                const swatch = document.createElement('span');
+                swatch.className = 'inspector-swatch';
+                swatch.style.background = toRgb(colors.getColorForClass(cell.class));
+                classCell.appendChild(swatch);
+            }
+            classCell.appendChild(document.createTextNode(formatClass(cell)));
+            const genes = document.createElement('td');
+            genes.textContent = (cell && typeof cell.gene_counts === 'number') ? cell.gene_counts.toLocaleString() : '—';
+
+            [value, runCell, classCell, genes].forEach(td => row.appendChild(td));
+            body.appendChild(row);
+        });
+        table.appendChild(body);
+        return table;
+    }
+
+    // Strip chart of the cell's class at each value of a sweep
+    function renderStripChart(element, sweep, byRun) {
+        const colors = window.SpatialViewer.colors;
+        const points = sweep.runs.filter(run => byRun.get(run.runId));
+        const classes = Array.from(new Set(points.map(run => byRun.get(run.runId).class))).sort();
+        Plotly.newPlot(element, [{
+            type: 'scatter',
+            mode: 'markers',
+            x: points.map(run => run.label),
+            y: points.map(run => byRun.get(run.runId).class),
+            customdata: points.map(run => [run.runId, byRun.get(run.runId).gene_counts]),
+            marker: {
+                color: points.map(run => toRgb(colors.getColorForClass(byRun.get(run.runId).class))),
+                // Base run drawn as a larger diamond, as in the sweep charts
+                symbol: points.map(run => run.isBase ? 'diamond' : 'circle'),
+                size: points.map(run => run.isBase ? 12 : 9),
+                line: { color: '#2d3748', width: 1 }
+            },
+            hovertemplate: `${sweep.displayName}=%{x}<br>%{customdata[0]}: %{y}<br>%{customdata[1]} gene counts<extra></extra>`
+        }], {
+            height: 90 + 24 * Math.max(1, classes.length),
+            margin: { l: 10, r: 10, t: 10, b: 40 },
+            xaxis: {
+                type: 'category',
+                categoryorder: 'array',
+                categoryarray: sweep.runs.map(run => run.label),
+                title: { text: sweep.displayName, font: { size: 11 } }
+            },
+            yaxis: { type: 'category', categoryorder: 'array', categoryarray: classes, automargin: true, tickfont: { size: 10 } },
+            showlegend: false
+        }, {responsive: true, displayModeBar: false});
+    }
+
+    function purgeCharts() {
+        document.querySelectorAll('#spatialInspectorSweeps .spatial-inspector-strip').forEach(el => Plotly.purge(el));
+    }
+
+    function renderPanel(byRun) {
+        const container = document.getElementById('spatialInspectorSweeps');
+        const summary = document.getElementById('spatialInspectorSummary');
+        if (!container) return;
+        purgeCharts();
+        container.innerHTML = '';
+
+        const modal = getModalClass(byRun);
+        if (summary) {
+            const failed = Array.from(byRun.values()).filter(cell => cell === undefined).length;
+            summary.textContent = modal
+                ? `Present in ${modal.present} of ${byRun.size} runs · ${modal.distinct} distinct class${modal.distinct === 1 ? '' : 'es'}`
+                  + ` · ${modal.label} in ${modal.count} of ${modal.present}`
+                  + (failed ? ` · ${failed} run(s) failed to load` : '')
+                : `Cell ${inspected.id} is not present in any loaded run.`;
+        }
+
+        state.sweeps.forEach(sweep => {
+            const block = document.createElement('div');
+            block.className = 'spatial-inspector-sweep';
+            const title = document.createElement('h4');
+            title.textContent = `${sweep.displayName} sweep`;
+            const table = document.createElement('div');
+            table.className = 'metrics-table';
+            table.appendChild(buildSweepTable(sweep, byRun));
+            const chart = document.createElement('div');
+            chart.className = 'spatial-inspector-strip';
+
+            block.appendChild(title);
+            block.appendChild(table);
+            block.appendChild(chart);
+            container.appendChild(block);
+            renderStripChart(chart, sweep, byRun);
+        });
+    }
+
+    // Pin a cell (of the shown run) in the inspector and load it from every run
+    async function inspect(cell) {
+        if (!cell || typeof cell.id !== 'number') return;
+        const panel = document.getElementById('spatialInspectorPanel');
+        if (!panel) return;
+
+        inspected = { id: cell.id, runId: state.currentRun };
+        panel.classList.remove('hidden');
+        const title = document.getElementById('spatialInspectorTitle');
+        if (title) title.textContent = `Cell ${cell.id}`;
+        const summary = document.getElementById('spatialInspectorSummary');
+        const runIds = getInspectedRuns();
+        if (summary) summary.textContent = `Loading cell ${cell.id} from ${runIds.length} runs…`;
+
+        const id = cell.id;
+        const byRun = await window.RequestManager.run('inspector', `cell ${id} across runs`,
+            request => loadCellAcrossRuns(id, runIds, request.signal));
+        // Superseded by another cell, or closed meanwhile
+        if (!byRun || !inspected || inspected.id !== id) return;
+        renderPanel(byRun);
+    }
+
+    function close() {
+        inspected = null;
+        window.RequestManager.cancel('inspector');
+        purgeCharts();
+        const panel = document.getElementById('spatialInspectorPanel');
+        if (panel) panel.classList.add('hidden');
+        const container = document.getElementById('spatialInspectorSweeps');
+        if (container) container.innerHTML = '';
+    }
+
+    function initialize() {
+        const closeBtn = document.getElementById('spatialInspectorClose');
+        if (closeBtn) closeBtn.addEventListener('click', close);
+    }
+
+    // Export functions
+    window.SpatialViewer.inspector = {
+        initialize: initialize,
+        inspect: inspect,
+        close: close
+    };
+
+})();
@@ -1,6 +1,6 @@
 /**
  * Data Loader for Spatial Viewer
- * Loads cell data from JSON files
+ * Loads cell data from the binary or JSON cell files (see js/cell-format.js)
  */
 
 (function() {
@@ -9,47 +9,78 @@
     window.SpatialViewer = window.SpatialViewer || {};
     const state = window.SpatialViewer.state;
 
-    // Load spatial data for a run
-    async function loadRunData(runId) {
+    // Cell table of a run from the shared data cache (cells tagged by region);
+    // options.signal aborts the fetch
+    function fetchCellsData(runId, options = {}) {
+        return window.DataCache.loadCellsData(runId, options);
+    }
+
+    // Latest loadRunData() call (resolves when its cells are shown)
+    let currentLoad = Promise.resolve(true);
+
+    // Load spatial data for a run. A newer call aborts this one; resolves to
+    // true once the cells are shown, false on failure or when superseded.
+    function loadRunData(runId) {
+        currentLoad = window.RequestManager
+            .run('spatial', runId, request => loadRunDataNow(runId, request))
+            .then(loaded => loaded === true);
+        return currentLoad;
+    }
+
+    // Wait for the most recent run load to finish (including loads started meanwhile)
+    async function whenLoaded() {
+        let load;
+        let loaded;
+        do {
+            load = currentLoad;
+            loaded = await load;
+        } while (load !== currentLoad);
+        return loaded;
+    }
+
+    async function loadRunDataNow(runId, request) {
         const DEBUG = !!window.DEBUG;
         if (DEBUG) console.log('Loading spatial data for', runId, '...');
 
         try {
-            const response = await fetch(`data/${runId}_cells.json`);
-            if (!response.ok) {
-                throw new Error(`Failed to load ${runId}_cells.json: ${response.statusText}`);
-            }
-
-            const data = await response.json();
+            const data = await fetchCellsData(runId, { signal: request.signal });
+            request.throwIfStale();
 
             // Update state
             state.currentRun = runId;
-            state.cells = data.cells || [];
-            state.numCells = state.cells.length;
+            state.cells = data;
+            state.numCells = data.count;
             state.geom.ready = true;
             state.geom.zValues = data.z_values || [];
             state.geom.defaultRadius = data.default_radius || 6.0;
             state.geom.is3D = state.geom.zValues.length > 1;
-            state.viewFitted = false;
+            // Back to the flat view for a run without z-planes
+            if (state.orbit.enabled && !state.geom.is3D) window.SpatialViewer.orbit.setOrbitView(false);
+            // All runs share the same section: keep the current view once it has been fitted
 
-            // Reset plane filter when loading new run
-            state.planeFilterEnabled = false;
-            state.selectedPlane = null;
+            // Reset plane filter (and playback) when loading new run
+            window.SpatialViewer.planes.reset();
 
             // Extract unique class names
-            const classNames = [...new Set(state.cells.map(c => c.class))].sort();
+            const classNames = data.classes.slice().sort();
 
             // Generate color palette (MUST await because it loads Yao scheme)
             await window.SpatialViewer.colors.generateColorPalette(classNames);
+            // A newer run may have been loaded meanwhile; it renders itself
+            request.throwIfStale();
 
             // Update cell class counts
             window.SpatialViewer.updateCellClassCounts();
 
+            // Match the cell search against the new run
+            window.SpatialViewer.search.refresh();
+
             // Initialize legend
             window.SpatialViewer.updateLegend();
 
             // Render
             window.SpatialViewer.render();
+            window.SpatialViewer.stability.updatePanel();
 
             if (DEBUG) {
                 console.log('Loaded', state.numCells, 'cells from', runId);
@@ -61,6 +92,7 @@
             return true;
 
         } catch (error) {
+            if (window.RequestManager.isAbortError(error) || !request.isCurrent()) throw error;
             console.error(`Failed to load spatial data for ${runId}:`, error);
             showNoDataMessage(runId);
             return false;
@@ -85,7 +117,9 @@
 
     // Export functions
     window.SpatialViewer.loader = {
-        loadRunData: loadRunData
+        loadRunData: loadRunData,
+        whenLoaded: whenLoaded,
+        fetchCellsData: fetchCellsData
     };
 
 })();
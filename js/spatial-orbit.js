@@ -0,0 +1,148 @@
+/**
+ * 3D Orbit View for Spatial Viewer
+ * Replaces the flat OrthographicView with an OrbitView that places every cell
+ * at its z-plane, so the stack can be rotated and inspected from the side.
+ * The z-scale stretches the stack (x/y units per plane, i.e. the voxel
+ * anisotropy). Class visibility, plane and gene-count filters still apply;
+ * region outlines and the selection are drawn on the lowest plane.
+ */
+
+(function() {
+    'use strict';
+
+    window.SpatialViewer = window.SpatialViewer || {};
+    const state = window.SpatialViewer.state;
+
+    const MIN_Z_SCALE = 0.5;
+    const MAX_Z_SCALE = 50;
+
+    // Tilt of the camera when the 3D view opens (degrees)
+    const INITIAL_ROTATION_X = 45;
+
+    function getZRange() {
+        const zValues = state.geom.zValues || [];
+        if (zValues.length === 0) return { min: 0, max: 0 };
+        return { min: Math.min(...zValues), max: Math.max(...zValues) };
+    }
+
+    // deck.gl view of the current mode
+    function buildView() {
+        const {OrbitView, OrthographicView} = deck;
+        if (state.orbit.enabled) {
+            return new OrbitView({id: 'orbit', orbitAxis: 'Z', orthographic: true, controller: true});
+        }
+        return new OrthographicView({id: 'ortho', controller: true});
+    }
+
+    // Model matrix of a layer in the 3D scene (column-major). y is mirrored so
+    // the section keeps its 2D orientation seen from above; z is stretched by the
+    // z-scale. Flat layers (2D outlines) are lifted to the lowest plane.
+    function getModelMatrix(flat = false) {
+        const zScale = state.orbit.zScale;
+        const lift = flat ? getZRange().min * zScale : 0;
+        return [
+            1, 0, 0, 0,
+            0, -1, 0, 0,
+            0, 0, zScale, 0,
+            0, 0, lift, 1
+        ];
+    }
+
+    // Orbit view state centred on a point of the section (cell coordinates)
+    function getViewState(centerX, centerY, zoom, transitionDuration = 0) {
+        const { min, max } = getZRange();
+        return {
+            target: [centerX, -centerY, (min + max) / 2 * state.orbit.zScale],
+            zoom: zoom,
+            rotationX: INITIAL_ROTATION_X,
+            rotationOrbit: 0,
+            transitionDuration
+        };
+    }
+
+    // Section point (cell coordinates) at the centre of the current view
+    function getViewCenter() {
+        const view = state.viewState;
+        if (!view || !Array.isArray(view.target)) return null;
+        return state.orbit.enabled ? [view.target[0], -view.target[1]] : [view.target[0], view.target[1]];
+    }
+
+    function updateControls() {
+        const toggleBtn = document.getElementById('spatialOrbitToggle');
+        const slider = document.getElementById('spatialZScale');
+        const label = document.getElementById('spatialZScaleLabel');
+        if (toggleBtn) {
+            toggleBtn.classList.toggle('active', state.orbit.enabled);
+            toggleBtn.textContent = state.orbit.enabled ? 'Back to 2D Projection' : 'Enable 3D Orbit View';
+        }
+        if (slider) {
+            slider.disabled = !state.orbit.enabled;
+            slider.value = String(state.orbit.zScale);
+        }
+        if (label) label.textContent = `Z scale: ${state.orbit.zScale}×`;
+    }
+
+    // Switch between the 2D projection and the 3D orbit view, keeping the
+    // centre and zoom of the current view
+    function setOrbitView(enabled) {
+        if (enabled && !state.geom.is3D) {
+            window.SpatialViewer.showUserNotice('The 3D view needs cells on more than one z-plane.');
+            enabled = false;
+        }
+        enabled = !!enabled;
+        if (enabled === state.orbit.enabled) {
+            updateControls();
+            return;
+        }
+
+        const center = getViewCenter();
+        const zoom = state.viewState ? state.viewState.zoom : -1;
+        state.orbit.enabled = enabled;
+        updateControls();
+        // Drawing a selection needs the flat view
+        if (enabled) window.SpatialViewer.selection.setTool(null);
+
+        if (!state.deckgl) return;
+        const rendering = window.SpatialViewer.rendering;
+        state.deckgl.setProps({views: [buildView()]});
+        if (state.compareDeck) state.compareDeck.setProps({views: [buildView()]});
+
+        if (center) {
+            rendering.applyViewState(enabled
+                ? getViewState(center[0], center[1], zoom)
+                : { target: [center[0], center[1], 0], zoom: zoom });
+        } else {
+            rendering.autoFitView();
+        }
+        window.SpatialViewer.render();
+    }
+
+    // Set the z-scale, keeping the view centred on the middle of the stack
+    function setZScale(scale) {
+        const value = Number(scale);
+        if (!Number.isFinite(value)) return;
+        const previous = state.orbit.zScale;
+        state.orbit.zScale = Math.max(MIN_Z_SCALE, Math.min(MAX_Z_SCALE, value));
+        updateControls();
+        if (!state.orbit.enabled || !state.deckgl) return;
+
+        const view = state.viewState;
+        if (view && Array.isArray(view.target)) {
+            const target = view.target.slice();
+            target[2] = (target[2] || 0) / previous * state.orbit.zScale;
+            window.SpatialViewer.rendering.applyViewState(Object.assign({}, view, { target, transitionDuration: 0 }));
+        }
+        window.SpatialViewer.render();
+    }
+
+    // Export functions
+    window.SpatialViewer.orbit = {
+        buildView: buildView,
+        getModelMatrix: getModelMatrix,
+        getViewState: getViewState,
+        setOrbitView: setOrbitView,
+        setZScale: setZScale,
+        updateControls: updateControls
+    };
+
+})();
@@ -0,0 +1,330 @@
+/**
+ * Plane Slab Filter for Spatial Viewer
+ * Shows a slab of z-planes (an inclusive range of z-values) chosen with a
+ * two-handled slider, plays the slab through the stack, and draws a per-plane
+ * histogram of the shown cells stacked by class (by group in the group colour
+ * mode). Clicking a histogram bar moves the slab to that plane.
+ */
+
+(function() {
+    'use strict';
+
+    window.SpatialViewer = window.SpatialViewer || {};
+    const state = window.SpatialViewer.state;
+
+    const HISTOGRAM_BACKGROUND = 'rgba(255, 255, 255, 0.04)';
+    const SLAB_HIGHLIGHT = 'rgba(34, 197, 94, 0.18)';
+
+    let playTimer = null;
+
+    // Cells per plane in the drawn histogram (for its tooltip)
+    let histogramTotals = [];
+
+    function getZValues() {
+        return state.geom.zValues || [];
+    }
+
+    // Slab applied to the cells ({ min, max } z-values), or null when the filter is off
+    function getActiveRange() {
+        return (state.planeFilterEnabled && state.geom.is3D && state.planeRange) ? state.planeRange : null;
+    }
+
+    // Index of the z-plane closest to a z-value
+    function nearestPlaneIndex(z) {
+        const zValues = getZValues();
+        let best = 0;
+        zValues.forEach((value, i) => {
+            if (Math.abs(value - z) < Math.abs(zValues[best] - z)) best = i;
+        });
+        return best;
+    }
+
+    // Slab as plane indices { from, to }
+    function getRangeIndices() {
+        if (!state.planeRange) return null;
+        return { from: nearestPlaneIndex(state.planeRange.min), to: nearestPlaneIndex(state.planeRange.max) };
+    }
+
+    function formatRange(range) {
+        return range.min === range.max ? `Plane: ${range.min}` : `Planes: ${range.min}–${range.max}`;
+    }
+
+    function updateControls() {
+        const toggleBtn = document.getElementById('spatialPlaneToggle');
+        const minSlider = document.getElementById('spatialPlaneMin');
+        const maxSlider = document.getElementById('spatialPlaneMax');
+        const playBtn = document.getElementById('spatialPlanePlay');
+        const label = document.getElementById('spatialPlaneLabel');
+        const zValues = getZValues();
+        const indices = getRangeIndices();
+
+        if (toggleBtn) toggleBtn.classList.toggle('active', state.planeFilterEnabled);
+        [minSlider, maxSlider].forEach(slider => {
+            if (!slider) return;
+            slider.min = '0';
+            slider.max = String(Math.max(0, zValues.length - 1));
+            slider.disabled = !state.planeFilterEnabled;
+        });
+        if (indices) {
+            if (minSlider) minSlider.value = String(indices.from);
+            if (maxSlider) maxSlider.value = String(indices.to);
+        }
+        if (playBtn) {
+            playBtn.disabled = !state.planeFilterEnabled;
+            playBtn.classList.toggle('active', state.planePlayback.playing);
+            playBtn.textContent = state.planePlayback.playing ? 'Pause' : 'Play';
+        }
+        if (label) label.textContent = getActiveRange() ? formatRange(state.planeRange) : 'Plane: all';
+    }
+
+    // Show the planes zValues[from..to] (indices, clamped and ordered)
+    function setRangeIndices(from, to) {
+        const zValues = getZValues();
+        const last = zValues.length - 1;
+        const lo = Math.max(0, Math.min(last, Math.min(from, to)));
+        const hi = Math.max(0, Math.min(last, Math.max(from, to)));
+        state.planeRange = { min: zValues[lo], max: zValues[hi] };
+        updateControls();
+        window.SpatialViewer.render();
+    }
+
+    // Enable/disable the plane filter, optionally on a slab ({ min, max } z-values
+    // or a single plane). Without one it keeps the last slab, or the middle plane.
+    function setPlaneFilter(enabled, range = null) {
+        const zValues = getZValues();
+        if (enabled && zValues.length === 0) {
+            window.SpatialViewer.showUserNotice('No plane data available for this run.');
+            enabled = false;
+        }
+
+        state.planeFilterEnabled = !!enabled;
+        if (!state.planeFilterEnabled) {
+            stopPlayback();
+        } else if (range !== null) {
+            const bounds = typeof range === 'number' ? { min: range, max: range } : range;
+            const from = nearestPlaneIndex(bounds.min);
+            const to = nearestPlaneIndex(bounds.max);
+            state.planeRange = { min: zValues[Math.min(from, to)], max: zValues[Math.max(from, to)] };
+        } else if (!state.planeRange) {
+            // Default to the middle plane when enabling
+            const middle = zValues[Math.floor(zValues.length / 2)];
+            state.planeRange = { min: middle, max: middle };
+        }
+
+        updateControls();
+        window.SpatialViewer.render();
+    }
+
+    // Move the slab one plane up the stack, wrapping to the bottom at the top
+    function step() {
+        const indices = getRangeIndices();
+        const last = getZValues().length - 1;
+        if (!indices || last < 0) return;
+        const width = indices.to - indices.from;
+        if (indices.to >= last) {
+            setRangeIndices(0, width);
+        } else {
+            setRangeIndices(indices.from + 1, indices.to + 1);
+        }
+    }
+
+    function startPlayback() {
+        if (!state.planeFilterEnabled) setPlaneFilter(true);
+        if (!state.planeFilterEnabled) return;
+        stopPlayback();
+        state.planePlayback.playing = true;
+        playTimer = setInterval(step, 1000 / state.planePlayback.speed);
+        updateControls();
+    }
+
+    function stopPlayback() {
+        if (playTimer !== null) clearInterval(playTimer);
+        playTimer = null;
+        state.planePlayback.playing = false;
+        updateControls();
+    }
+
+    function togglePlayback() {
+        if (state.planePlayback.playing) {
+            stopPlayback();
+        } else {
+            startPlayback();
+        }
+    }
+
+    // Playback speed in planes per second (restarts a running playback)
+    function setSpeed(planesPerSecond) {
+        const speed = Number(planesPerSecond);
+        if (!Number.isFinite(speed) || speed <= 0) return;
+        state.planePlayback.speed = speed;
+        if (state.planePlayback.playing) startPlayback();
+    }
+
+    // Stacks of the histogram: [{ color, counts per plane }], by class or by group
+    function getHistogramStacks() {
+        const filtered = state.filtered;
+        const planes = getZValues().length;
+        if (!filtered || filtered.cells !== state.cells || !filtered.planeCounts || planes === 0) return [];
+
+        const colors = window.SpatialViewer.colors;
+        const byGroup = state.colorMode === 'group';
+        const classes = filtered.classes;
+        const stacks = new Map();
+        classes.forEach((className, c) => {
+            const key = byGroup ? window.ClassGrouping.classify(className) : className;
+            if (!stacks.has(key)) {
+                stacks.set(key, {
+                    color: byGroup ? colors.getColorForGroup(key) : colors.getColorForClass(key),
+                    counts: new Array(planes).fill(0)
+                });
+            }
+            const counts = stacks.get(key).counts;
+            for (let p = 0; p < planes; p++) counts[p] += filtered.planeCounts[p * classes.length + c];
+        });
+        return Array.from(stacks.values());
+    }
+
+    // Draw the per-plane histogram of the latest filter result
+    function updateHistogram() {
+        const canvas = document.getElementById('spatialPlaneHistogram');
+        if (!canvas) return;
+        const planes = getZValues().length;
+        canvas.classList.toggle('hidden', !state.geom.is3D);
+        if (!state.geom.is3D || planes === 0) return;
+
+        const ratio = window.devicePixelRatio || 1;
+        const width = canvas.clientWidth;
+        const height = canvas.clientHeight;
+        if (width === 0 || height === 0) return;
+        canvas.width = Math.round(width * ratio);
+        canvas.height = Math.round(height * ratio);
+        const ctx = canvas.getContext('2d');
+        ctx.scale(ratio, ratio);
+        ctx.fillStyle = HISTOGRAM_BACKGROUND;
+        ctx.fillRect(0, 0, width, height);
+
+        const stacks = getHistogramStacks();
+        const totals = new Array(planes).fill(0);
+        stacks.forEach(stack => stack.counts.forEach((count, p) => { totals[p] += count; }));
+        const maxTotal = Math.max(1, ...totals);
+        const barWidth = width / planes;
+
+        // Current slab behind the bars
+        const indices = getActiveRange() ? getRangeIndices() : null;
+        if (indices) {
+            ctx.fillStyle = SLAB_HIGHLIGHT;
+            ctx.fillRect(indices.from * barWidth, 0, (indices.to - indices.from + 1) * barWidth, height);
+        }
+
+        const stacked = new Array(planes).fill(0);
+        stacks.forEach(stack => {
+            ctx.fillStyle = `rgb(${stack.color[0]}, ${stack.color[1]}, ${stack.color[2]})`;
+            stack.counts.forEach((count, p) => {
+                if (!count) return;
+                const barHeight = count / maxTotal * height;
+                const y = height - (stacked[p] / maxTotal * height) - barHeight;
+                ctx.fillRect(p * barWidth, y, Math.max(1, barWidth - 1), barHeight);
+                stacked[p] += count;
+            });
+        });
+        histogramTotals = totals;
+    }
+
+    // Plane index under a pointer event on the histogram
+    function planeIndexAt(event) {
+        const canvas = event.currentTarget;
+        const rect = canvas.getBoundingClientRect();
+        const planes = getZValues().length;
+        return Math.max(0, Math.min(planes - 1, Math.floor((event.clientX - rect.left) / rect.width * planes)));
+    }
+
+    // Clicking a bar centres the slab (keeping its width) on that plane
+    function onHistogramClick(event) {
+        const zValues = getZValues();
+        if (zValues.length === 0) return;
+        const plane = planeIndexAt(event);
+        if (!state.planeFilterEnabled) {
+            setPlaneFilter(true, zValues[plane]);
+            return;
+        }
+        const indices = getRangeIndices();
+        const width = indices ? indices.to - indices.from : 0;
+        const from = Math.max(0, Math.min(zValues.length - 1 - width, plane - Math.floor(width / 2)));
+        setRangeIndices(from, from + width);
+    }
+
+    function onHistogramMove(event) {
+        const zValues = getZValues();
+        if (zValues.length === 0) return;
+        const plane = planeIndexAt(event);
+        const count = histogramTotals[plane] || 0;
+        event.currentTarget.title = `Plane ${zValues[plane]}: ${count.toLocaleString()} cells`;
+    }
+
+    // New run: filter off, playback stopped, sliders fitted to its planes
+    function reset() {
+        stopPlayback();
+        state.planeFilterEnabled = false;
+        state.planeRange = null;
+        updateControls();
+        updateHistogram();
+    }
+
+    // Setup plane slab controls, playback and histogram
+    function initialize() {
+        const planeToggleBtn = document.getElementById('spatialPlaneToggle');
+        const minSlider = document.getElementById('spatialPlaneMin');
+        const maxSlider = document.getElementById('spatialPlaneMax');
+        const playBtn = document.getElementById('spatialPlanePlay');
+        const speedSelect = document.getElementById('spatialPlaneSpeed');
+        const histogram = document.getElementById('spatialPlaneHistogram');
+
+        if (planeToggleBtn) {
+            planeToggleBtn.addEventListener('click', () => {
+                if (!state.geom.is3D || getZValues().length === 0) {
+                    window.SpatialViewer.showUserNotice('Plane filter is available only for 3D data.');
+                    return;
+                }
+                setPlaneFilter(!state.planeFilterEnabled);
+            });
+        }
+
+        // The handles may not cross: moving one past the other moves both
+        if (minSlider && maxSlider) {
+            minSlider.addEventListener('input', () => {
+                const from = parseInt(minSlider.value, 10);
+                setRangeIndices(from, Math.max(from, parseInt(maxSlider.value, 10)));
+            });
+            maxSlider.addEventListener('input', () => {
+                const to = parseInt(maxSlider.value, 10);
+                setRangeIndices(Math.min(to, parseInt(minSlider.value, 10)), to);
+            });
+        }
+
+        if (playBtn) playBtn.addEventListener('click', togglePlayback);
+
+        if (speedSelect) {
+            speedSelect.value = String(state.planePlayback.speed);
+            speedSelect.addEventListener('change', (e) => setSpeed(e.target.value));
+        }
+
+        if (histogram) {
+            histogram.addEventListener('click', onHistogramClick);
+            histogram.addEventListener('mousemove', onHistogramMove);
+        }
+
+        updateControls();
+    }
+
+    // Export functions
+    window.SpatialViewer.planes = {
+        initialize: initialize,
+        reset: reset,
+        getActiveRange: getActiveRange,
+        setPlaneFilter: setPlaneFilter,
+        togglePlayback: togglePlayback,
+        setSpeed: setSpeed,
+        updateHistogram: updateHistogram
+    };
+
+})();
@@ -0,0 +1,207 @@
+/**
+ * Region Boundaries for Spatial Viewer
+ * Loads region polygons from data/region_boundaries.geojson (optional),
+ * tags cells with their region by point-in-polygon and draws the outlines.
+ *
+ * Expected file: a GeoJSON FeatureCollection of Polygon/MultiPolygon features
+ * in the same pixel coordinates as the cells, each with a `region` property
+ * (or `name`/`id`) such as "CA1" or "dg".
+ */
+
+(function() {
+    'use strict';
+
+    window.SpatialViewer = window.SpatialViewer || {};
+    const state = window.SpatialViewer.state;
+
+    const BOUNDARIES_URL = 'data/region_boundaries.geojson';
+
+    // Outline colours: highlighted (selected) region and the others
+    const OUTLINE_COLOR = [90, 90, 90, 200];
+    const HIGHLIGHT_COLOR = [229, 62, 62, 255];
+
+    // Alternative region names found in boundary files
+    const REGION_ALIASES = {
+        dentategyrus: 'dg'
+    };
+
+    // Shared load promise (resolves to the region list, empty when no file)
+    let loadPromise = null;
+
+    // Region key from feature properties ("CA1" -> "ca1", "Dentate Gyrus" -> "dg")
+    function getRegionKey(properties) {
+        const raw = properties && (properties.region ?? properties.name ?? properties.id);
+        if (raw == null) return null;
+        const key = String(raw).toLowerCase().replace(/[^a-z0-9]/g, '');
+        return REGION_ALIASES[key] || key || null;
+    }
+
+    // Polygons of a geometry as arrays of rings ([[x, y], ...])
+    function getPolygons(geometry) {
+        if (!geometry) return [];
+        if (geometry.type === 'Polygon') return [geometry.coordinates];
+        if (geometry.type === 'MultiPolygon') return geometry.coordinates;
+        return [];
+    }
+
+    function ringsBounds(polygons) {
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        polygons.forEach(rings => rings.forEach(ring => ring.forEach(([x, y]) => {
+            minX = Math.min(minX, x);
+            minY = Math.min(minY, y);
+            maxX = Math.max(maxX, x);
+            maxY = Math.max(maxY, y);
+        })));
+        return { minX, minY, maxX, maxY };
+    }
+
+    // Parse a FeatureCollection into [{ key, polygons, bounds }] (one entry per region)
+    function parseBoundaries(geojson) {
+        const features = (geojson && geojson.type === 'FeatureCollection') ? geojson.features : [];
+        const byKey = new Map();
+        (features || []).forEach(feature => {
+            const key = getRegionKey(feature && feature.properties);
+            const polygons = getPolygons(feature && feature.geometry);
+            if (!key || polygons.length === 0) return;
+            if (!byKey.has(key)) byKey.set(key, { key, polygons: [] });
+            byKey.get(key).polygons.push(...polygons);
+        });
+        return Array.from(byKey.values()).map(region => Object.assign(region, { bounds: ringsBounds(region.polygons) }));
+    }
+
+    // Even-odd ray casting over all rings of a polygon (holes excluded)
+    function pointInPolygon(x, y, rings) {
+        let inside = false;
+        rings.forEach(ring => {
+            for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+                const [xi, yi] = ring[i];
+                const [xj, yj] = ring[j];
+                if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+                    inside = !inside;
+                }
+            }
+        });
+        return inside;
+    }
+
+    // Region key of a point, or null outside every region
+    function getRegionAt(x, y) {
+        const regions = state.regions.list;
+        for (let r = 0; r < regions.length; r++) {
+            const region = regions[r];
+            const b = region.bounds;
+            if (x < b.minX || x > b.maxX || y < b.minY || y > b.maxY) continue;
+            if (region.polygons.some(rings => pointInPolygon(x, y, rings))) return region.key;
+        }
+        return null;
+    }
+
+    // Load the boundaries once; a missing file just means no regions
+    function loadBoundaries() {
+        if (loadPromise) return loadPromise;
+        loadPromise = fetch(BOUNDARIES_URL)
+            .then(response => {
+                if (!response.ok) return null;
+                return response.json();
+            })
+            .then(geojson => {
+                state.regions.list = geojson ? parseBoundaries(geojson) : [];
+                state.regions.loaded = true;
+                updateRegionNote();
+                return state.regions.list;
+            })
+            .catch(error => {
+                console.warn(`Could not load region boundaries from ${BOUNDARIES_URL}:`, error);
+                state.regions.list = [];
+                state.regions.loaded = true;
+                updateRegionNote();
+                return state.regions.list;
+            });
+        return loadPromise;
+    }
+
+    // Tag the cells of a table that don't carry a region (extras.region; null
+    // outside every region)
+    async function tagCells(table) {
+        const regions = await loadBoundaries();
+        if (!table || regions.length === 0) return table;
+        const { x, y } = table.columns;
+        const tags = table.extras.region || (table.extras.region = new Array(table.count));
+        for (let i = 0; i < table.count; i++) {
+            if (tags[i] === undefined) tags[i] = getRegionAt(x[i], y[i]);
+        }
+        return table;
+    }
+
+    function hasBoundaries() {
+        return state.regions.list.length > 0;
+    }
+
+    function getRegionBounds(regionKey) {
+        const region = state.regions.list.find(r => r.key === regionKey);
+        return region ? region.bounds : null;
+    }
+
+    // Outline layer for the region boundaries (null when hidden or missing)
+    function buildOutlineLayer(id) {
+        if (!state.regions.showOutlines || !hasBoundaries()) return null;
+        const {PathLayer} = deck;
+
+        const paths = [];
+        state.regions.list.forEach(region => region.polygons.forEach(rings => rings.forEach(ring => {
+            paths.push({ key: region.key, path: ring });
+        })));
+
+        return new PathLayer({
+            id: id,
+            data: paths,
+            pickable: false,
+            widthUnits: 'pixels',
+            getPath: d => d.path,
+            getColor: d => d.key === state.regions.highlighted ? HIGHLIGHT_COLOR : OUTLINE_COLOR,
+            getWidth: d => d.key === state.regions.highlighted ? 3 : 1.5,
+            updateTriggers: {
+                getColor: [state.regions.highlighted],
+                getWidth: [state.regions.highlighted]
+            }
+        });
+    }
+
+    // Highlight a region and fit the view to its bounds
+    function flyToRegion(regionKey) {
+        state.regions.highlighted = regionKey;
+        const bounds = getRegionBounds(regionKey);
+        if (!bounds) return false;
+        window.SpatialViewer.rendering.fitBounds(bounds);
+        window.SpatialViewer.render();
+        return true;
+    }
+
+    function setShowOutlines(show) {
+        state.regions.showOutlines = !!show;
+        window.SpatialViewer.render();
+    }
+
+    // Sidebar note on which regions are available
+    function updateRegionNote() {
+        const note = document.getElementById('spatialRegionNote');
+        if (!note) return;
+        note.textContent = hasBoundaries()
+            ? `Regions: ${state.regions.list.map(r => r.key.toUpperCase()).join(', ')}`
+            : `No region boundaries found (${BOUNDARIES_URL}).`;
+    }
+
+    // Export functions
+    window.SpatialViewer.regions = {
+        loadBoundaries: loadBoundaries,
+        tagCells: tagCells,
+        hasBoundaries: hasBoundaries,
+        getRegionAt: getRegionAt,
+        pointInPolygon: pointInPolygon,
+        getRegionBounds: getRegionBounds,
+        buildOutlineLayer: buildOutlineLayer,
+        flyToRegion: flyToRegion,
+        setShowOutlines: setShowOutlines
+    };
+
+})();
@@ -10,76 +10,152 @@
     window.SpatialViewer = window.SpatialViewer || {};
     const state = window.SpatialViewer.state;
 
-    // Initialize deck.gl
-    function initializeDeck() {
-        const {DeckGL, ScatterplotLayer, OrthographicView} = deck;
+    // Tooltip for cells of one view; runLabel() names the run shown in that view
+    function makeTooltip(runLabel) {
+        return (info) => {
+            const object = info.object || getPickedCell(info);
+            if (!object) return null;
+            const id = (typeof object.id === 'number') ? object.id : 'N/A';
+            const gc = (typeof object.gene_counts === 'number') ? object.gene_counts : 'N/A';
+            const pos = `(${Math.round(object.x)}, ${Math.round(object.y)}${(object.z !== undefined && object.z !== null) ? ', ' + object.z : ''})`;
+            const regionLine = object.region ? `Region: ${object.region.toUpperCase()}<br/>` : '';
+            // In diff mode show the class in both runs
+            let classLines = `Class: ${object.class}<br/>`;
+            if (runLabel) {
+                classLines = `Class (${runLabel()}): ${object.class}<br/>`;
+            } else if (isDiffModeReady()) {
+                const refClass = window.SpatialViewer.diff.getReferenceClass(object);
+                classLines = `Class (${state.currentRun}): ${object.class}<br/>
+                    Class (${state.reference.runId}): ${refClass === null ? 'not present' : refClass}<br/>`;
+            }
+            return {
+                html: `<div style="font-size: 12px;">
+                    ID: ${id}<br/>
+                    ${classLines}
+                    Total Gene Counts: ${gc}<br/>
+                    ${regionLine}Position: ${pos}
+                </div>`,
+                style: {
+                    backgroundColor: '#1b1b1b',
+                    color: '#e5e5e5',
+                    padding: '8px',
+                    borderRadius: '4px'
+                }
+            };
+        };
+    }
 
-        state.deckgl = new DeckGL({
-            container: 'spatialDeckContainer',
-            views: [new OrthographicView({id: 'ortho', controller: true})],
-            initialViewState: {
+    // Create a deck.gl instance in a container
+    function createDeck(containerId, getTooltip) {
+        const {DeckGL} = deck;
+
+        return new DeckGL({
+            container: containerId,
+            views: [window.SpatialViewer.orbit.buildView()],
+            initialViewState: state.viewState || {
                 target: [3200, 2200, 0],  // Center of typical image
                 zoom: -1  // Start zoomed out
             },
             controller: true,
             layers: [],
-            getTooltip: ({object}) => {
-                if (!object) return null;
-                const id = (typeof object.id === 'number') ? object.id : 'N/A';
-                const gc = (typeof object.gene_counts === 'number') ? object.gene_counts : 'N/A';
-                const pos = `(${Math.round(object.x)}, ${Math.round(object.y)}${(object.z !== undefined && object.z !== null) ? ', ' + object.z : ''})`;
-                return {
-                    html: `<div style="font-size: 12px;">
-                        ID: ${id}<br/>
-                        Class: ${object.class}<br/>
-                        Total Gene Counts: ${gc}<br/>
-                        Position: ${pos}
-                    </div>`,
-                    style: {
-                        backgroundColor: '#1b1b1b',
-                        color: '#e5e5e5',
-                        padding: '8px',
-                        borderRadius: '4px'
-                    }
-                };
-            }
+            // Track the view so it can be shared with the split view
+            onViewStateChange: ({viewState}) => {
+                state.viewState = viewState;
+            },
+            // Clicking a cell pins it in the cell inspector
+            onClick: (info) => {
+                const cell = info.object || getPickedCell(info);
+                if (cell) window.SpatialViewer.inspector.inspect(cell);
+            },
+            getTooltip: getTooltip
         });
+    }
 
+    // Initialize deck.gl
+    function initializeDeck() {
+        state.deckgl = createDeck('spatialDeckContainer', makeTooltip(null));
         render();
     }
 
-    // Main render function
-    function render() {
-        if (!state.deckgl || state.cells.length === 0) {
-            console.warn(`render() skipped: deckgl=${!!state.deckgl}, cells.length=${state.cells.length}`);
-            return;
-        }
+    // Fixed alpha of the cells in the static view
+    const CELL_ALPHA = 230;
+
+    // Apply class visibility, plane and gene-count filters to a cell table in
+    // the cell worker; a colouring by class or colour scale (see getColoring)
+    // is applied there too
+    function filterCells(table, coloring = {}) {
+        return window.CellWorker.filterCells(table, {
+            classVisible: state.cellClassVisible,
+            planeRange: window.SpatialViewer.planes.getActiveRange(),
+            minGeneCount: state.useGeneFilter ? (Number(state.minGeneCount) || 0) : null,
+            planes: state.geom.is3D ? state.geom.zValues : null,
+            withZ: state.orbit.enabled,
+            classColor: coloring.classColor || null,
+            colorScale: coloring.colorScale || null,
+            alpha: CELL_ALPHA
+        });
+    }
 
-        // Filter cells based on visibility
-        let visibleCells = state.cells.filter(cell => state.cellClassVisible[cell.class]);
+    // Cell (object built on demand) of a binary-attribute cells layer under the pointer
+    function getPickedCell(info) {
+        const data = info.layer && info.layer.props.data;
+        if (!data || !data.table || info.index < 0 || info.index >= data.length) return null;
+        return window.CellTable.getCell(data.table, data.indices[info.index]);
+    }
 
-        // Further filter by plane if enabled
-        if (state.planeFilterEnabled && state.geom.is3D && state.selectedPlane !== null) {
-            visibleCells = visibleCells.filter(cell => {
-                const cellZ = (typeof cell.z === 'number') ? cell.z : 0;
-                return cellZ === state.selectedPlane;
-            });
+    // Binary attributes of rows of a cell table, gathered and coloured here
+    // (getColor(table, row); positions carry z in the 3D view)
+    function buildCellAttributes(table, rows, getColor) {
+        const n = rows.length;
+        const positionSize = state.orbit.enabled ? 3 : 2;
+        const positions = new Float32Array(n * positionSize);
+        const radii = new Float32Array(n);
+        const colors = new Uint8Array(n * 4);
+        // No table for an empty set (reference run not loaded yet)
+        const columns = n > 0 ? table.columns : null;
+
+        for (let j = 0; j < n; j++) {
+            const i = rows[j];
+            positions[j * positionSize] = columns.x[i];
+            positions[j * positionSize + 1] = columns.y[i];
+            if (positionSize === 3) positions[j * 3 + 2] = columns.z[i];
+            radii[j] = columns.r[i];
+            const color = getColor(table, i);
+            colors[j * 4] = color[0];
+            colors[j * 4 + 1] = color[1];
+            colors[j * 4 + 2] = color[2];
+            colors[j * 4 + 3] = CELL_ALPHA;
         }
 
-        // Apply gene count filter if enabled
-        if (state.useGeneFilter) {
-            const thr = Number(state.minGeneCount) || 0;
-            visibleCells = visibleCells.filter(cell => (typeof cell.gene_counts === 'number') && cell.gene_counts >= thr);
-        }
+        return {
+            getPosition: { value: positions, size: positionSize },
+            getRadius: { value: radii, size: 1 },
+            getFillColor: { value: colors, size: 4, normalized: true }
+        };
+    }
 
-        if (window.DEBUG) console.log(`Rendering ${visibleCells.length}/${state.cells.length} cells`);
+    // Binary attributes of a worker filter result coloured by class
+    function getFilteredAttributes(filtered) {
+        return {
+            getPosition: { value: filtered.positions, size: filtered.positionSize },
+            getRadius: { value: filtered.radii, size: 1 },
+            getFillColor: { value: filtered.colors, size: 4, normalized: true }
+        };
+    }
 
+    // Scatterplot layer fed with binary attributes. The table and rows stay on
+    // the data object for picking: point i is row indices[i] of the table.
+    function buildCellsLayer(id, table, attributes, indices) {
         const {ScatterplotLayer} = deck;
 
-        // Create scatterplot layer with visible cells only
-        const layer = new ScatterplotLayer({
-            id: 'cells-layer',
-            data: visibleCells,
+        return placeLayer(new ScatterplotLayer({
+            id: id,
+            data: {
+                length: indices.length,
+                table: table,
+                indices: indices,
+                attributes: attributes
+            },
             pickable: true,
             opacity: 1.0,
             stroked: true,
@@ -88,26 +164,98 @@
             radiusMinPixels: 2,
             radiusMaxPixels: 100,
             lineWidthMinPixels: 1,
-            getPosition: d => [d.x, d.y],
-            getRadius: d => d.r || state.geom.defaultRadius,
-            getFillColor: d => {
-                const color = window.SpatialViewer.colors.getColorForClass(d.class);
-                // Fixed alpha for static view
-                return [color[0], color[1], color[2], 230];
-            },
             getLineColor: [255, 255, 255, 60],
-            updateTriggers: {
-                getFillColor: [state.currentRun],
-                data: [Object.values(state.cellClassVisible)]
-            }
+            // Discs face the camera in the 3D view
+            billboard: state.orbit.enabled
+        }));
+    }
+
+    // Place a layer in the 3D scene (flat layers on the lowest plane); unchanged in 2D
+    function placeLayer(layer, flat = false) {
+        if (!layer || !state.orbit.enabled) return layer;
+        return layer.clone({ modelMatrix: window.SpatialViewer.orbit.getModelMatrix(flat) });
+    }
+
+    // Latest render() call; filter results of earlier calls are dropped
+    let renderGeneration = 0;
+
+    // Main render function. Filtering runs in the cell worker, so the layers
+    // and legend counts update when its results arrive (the promise resolves then).
+    function render() {
+        if (!state.deckgl || !state.cells || state.cells.count === 0) {
+            console.warn(`render() skipped: deckgl=${!!state.deckgl}, cells=${state.cells ? state.cells.count : 0}`);
+            return Promise.resolve();
+        }
+
+        const generation = ++renderGeneration;
+        const cells = state.cells;
+        const coloring = getColoring(false);
+        const refCells = (state.splitView && state.compareDeck && state.reference.cells) || null;
+        const refColoring = getColoring(true);
+
+        return Promise.all([
+            filterCells(cells, coloring),
+            refCells ? filterCells(refCells, refColoring) : null
+        ]).then(([filtered, refFiltered]) => {
+            if (generation !== renderGeneration || cells !== state.cells) return;
+            state.filtered = {
+                cells,
+                indices: filtered.indices,
+                classCounts: filtered.classCounts,
+                planeCounts: filtered.planeCounts,
+                classes: filtered.classes
+            };
+            drawLayers(filtered, coloring, refCells, refFiltered, refColoring);
+            window.SpatialViewer.updateLegend();
+            window.SpatialViewer.planes.updateHistogram();
+        }).catch(error => {
+            console.error('Spatial Viewer: filtering cells failed:', error);
         });
+    }
 
-        if (window.DEBUG) console.log(`Created layer with ${visibleCells.length} visible data points`);
+    // Cells layer of a filter result. Colourings per cell (change and expected
+    // class categories) are only known here: they filter and colour on the page.
+    function buildFilteredLayer(id, table, filtered, coloring) {
+        if (!filtered) return buildCellsLayer(id, table, buildCellAttributes(table, [], null), []);
+        if (!coloring.cellColor) {
+            return buildCellsLayer(id, table, getFilteredAttributes(filtered), filtered.indices);
+        }
+        const rows = filtered.indices.filter(i => coloring.cellVisible(table, i));
+        return buildCellsLayer(id, table, buildCellAttributes(table, rows, coloring.cellColor), rows);
+    }
+
+    // Set the layers of both views from the filter results
+    function drawLayers(filtered, coloring, refCells, refFiltered, refColoring) {
+        const layer = buildFilteredLayer('cells-layer', state.cells, filtered, coloring);
+
+        if (window.DEBUG) console.log(`Rendering ${layer.props.data.length}/${state.cells.count} cells`);
+
+        // Region outlines, search matches and the lasso/box selection drawn over the cells
+        const regions = window.SpatialViewer.regions;
+        const selection = window.SpatialViewer.selection;
 
         // Update deck.gl with new layer
         state.deckgl.setProps({
-            layers: [layer]
+            layers: [
+                layer,
+                placeLayer(regions.buildOutlineLayer('region-outlines'), true),
+                placeLayer(window.SpatialViewer.search.buildHighlightLayer()),
+                placeLayer(selection.buildSelectionLayer('selection-outline'), true)
+            ].filter(Boolean)
         });
+        selection.scheduleRefresh();
+
+        // Reference run in the left-hand view of the split layout
+        if (state.splitView && state.compareDeck) {
+            const refLayer = buildFilteredLayer('reference-cells-layer', refCells, refFiltered, refColoring);
+            state.compareDeck.setProps({
+                layers: [refLayer,
+                placeLayer(regions.buildOutlineLayer('reference-region-outlines'), true),
+                placeLayer(selection.buildSelectionLayer('reference-selection-outline'), true)
+                ].filter(Boolean)
+            });
+            window.SpatialViewer.split.updateLabels();
+        }
 
         // Auto-fit view on the very first render if it hasn't been fitted yet
         if (!state.viewFitted) {
@@ -117,9 +265,22 @@
         }
     }
 
-    // Auto-fit view to show all cells
+    // Set the view of every active deck (both views share one state in split mode)
+    function applyViewState(viewState) {
+        state.viewState = viewState;
+        if (state.splitView && state.compareDeck) {
+            state.deckgl.setProps({viewState});
+            state.compareDeck.setProps({viewState});
+        } else {
+            state.deckgl.setProps({initialViewState: viewState});
+        }
+    }
+
+    // Auto-fit view to show all cells of every visible view
     function autoFitView() {
-        if (!state.cells || state.cells.length === 0) return;
+        const tables = [state.cells];
+        if (state.splitView && state.reference.cells) tables.push(state.reference.cells);
+        if (!tables.some(table => table && table.count > 0)) return;
 
         if (window.DEBUG) console.log('=== AUTO FIT VIEW ===');
 
@@ -127,15 +288,21 @@
         let minX = Infinity, minY = Infinity;
         let maxX = -Infinity, maxY = -Infinity;
 
-        state.cells.forEach(cell => {
-            minX = Math.min(minX, cell.x);
-            minY = Math.min(minY, cell.y);
-            maxX = Math.max(maxX, cell.x);
-            maxY = Math.max(maxY, cell.y);
+        tables.filter(Boolean).forEach(table => {
+            const bounds = window.CellTable.getBounds(table);
+            minX = Math.min(minX, bounds.minX);
+            minY = Math.min(minY, bounds.minY);
+            maxX = Math.max(maxX, bounds.maxX);
+            maxY = Math.max(maxY, bounds.maxY);
         });
 
         console.log(`Bounds: minX=${minX}, maxX=${maxX}, minY=${minY}, maxY=${maxY}`);
 
+        fitBounds({ minX, minY, maxX, maxY });
+    }
+
+    // Fit the view to a bounding box ({minX, minY, maxX, maxY}) with 10% padding
+    function fitBounds({ minX, minY, maxX, maxY }) {
         // Add 10% padding
         const width = maxX - minX;
         const height = maxY - minY;
@@ -148,7 +315,7 @@
         const centerX = (paddedMinX + paddedMaxX) / 2;
         const centerY = (paddedMinY + paddedMaxY) / 2;
 
-        // Calculate zoom to fit
+        // Calculate zoom to fit (each view gets the size of its own container)
         const container = document.getElementById('spatialDeckContainer');
         const containerWidth = container ? container.clientWidth : 0;
         const containerHeight = container ? container.clientHeight : 0;
@@ -170,109 +337,299 @@
 
         if (window.DEBUG) console.log(`Calculated view: center=[${centerX}, ${centerY}], zoom=${zoom}`);
 
-        // Update view to fit all cells
-        state.deckgl.setProps({
-            initialViewState: {
-                target: [centerX, centerY, 0],
-                zoom: zoom,
-                transitionDuration
-            }
+        // Update view to fit the bounds
+        if (state.orbit.enabled) {
+            applyViewState(window.SpatialViewer.orbit.getViewState(centerX, centerY, zoom, transitionDuration));
+            return;
+        }
+        applyViewState({
+            target: [centerX, centerY, 0],
+            zoom: zoom,
+            transitionDuration
         });
     }
 
-    // Compute cells used for legend counts (apply plane and gene-count filters)
-    function getLegendFilteredCells() {
-        let cells = state.cells;
-        // Plane filter
-        if (state.planeFilterEnabled && state.geom.is3D && state.selectedPlane !== null) {
-            cells = cells.filter(cell => {
-                const cellZ = (typeof cell.z === 'number') ? cell.z : 0;
-                return cellZ === state.selectedPlane;
-            });
+    // Colour of a class label in the class and group colour modes
+    function getClassColorFn() {
+        const colors = window.SpatialViewer.colors;
+        if (state.colorMode === 'group') {
+            return className => colors.getColorForGroup(window.ClassGrouping.classify(className));
         }
-        // Gene-count filter
-        if (state.useGeneFilter) {
-            const thr = Number(state.minGeneCount) || 0;
-            cells = cells.filter(cell => (typeof cell.gene_counts === 'number') && cell.gene_counts >= thr);
+        return className => colors.getColorForClass(className);
+    }
+
+    // Colouring of the active colour mode: { classColor } (class and group),
+    // { colorScale } (gene counts, depth) or { cellColor, cellVisible } (taking a
+    // table and row) for the categories and scores computed per cell (change,
+    // expected class, stability).
+    // The reference view of the split layout has no change categories and keeps
+    // the class colours in diff mode.
+    function getColoring(forReference) {
+        const colorModes = window.SpatialViewer.colorModes;
+        if (!forReference && isDiffModeReady()) {
+            const diff = window.SpatialViewer.diff;
+            return {
+                cellColor: (table, i) => diff.getColorForCategory(diff.getDiffCategory(table, i)),
+                cellVisible: (table, i) => state.diffCategoryVisible[diff.getDiffCategory(table, i)]
+            };
         }
-        return cells;
+        if (state.colorMode === 'expected') {
+            return {
+                cellColor: (table, i) => colorModes.getColorForExpected(colorModes.getExpectedCategory(table, i)),
+                cellVisible: (table, i) => state.expectedCategoryVisible[colorModes.getExpectedCategory(table, i)]
+            };
+        }
+        const scale = colorModes.getScale(state.colorMode, (forReference && state.reference.cells) || state.cells);
+        if (scale && scale.column) return { colorScale: scale };
+        if (scale) return { cellColor: (table, i) => colorModes.getCellColor(scale, table, i), cellVisible: () => true };
+        return { classColor: getClassColorFn() };
     }
 
-    // Update legend with current cell class counts
-    window.SpatialViewer.updateLegend = function() {
-        const legendItems = document.getElementById('spatialLegendItems');
-        if (!legendItems) return;
+    // Diff colouring is active and the reference cells are available
+    function isDiffModeReady() {
+        return state.colorMode === 'diff' && !!state.reference.cells;
+    }
 
-        legendItems.innerHTML = '';
+    // Filter result of the shown run, or null until the worker has answered for it
+    function getCurrentFiltered() {
+        return state.filtered && state.filtered.cells === state.cells ? state.filtered : null;
+    }
 
-        // Recompute counts based on current plane/gene filters
+    // Cells per class under the plane and gene-count filters (all cells until
+    // the first filter result of the run arrives)
+    function getLegendClassCounts() {
+        const filtered = getCurrentFiltered();
+        return filtered ? filtered.classCounts : state.cellClassCounts;
+    }
+
+    // Rows of the shown run under the plane and gene-count filters, filtered
+    // on the page (used by the selection statistics)
+    function getLegendFilteredIndices() {
+        const table = state.cells;
+        if (!table) return [];
+        const { z, gene_counts: geneCounts } = table.columns;
+        const range = window.SpatialViewer.planes.getActiveRange();
+        const thr = state.useGeneFilter ? (Number(state.minGeneCount) || 0) : null;
+        const rows = [];
+        for (let i = 0; i < table.count; i++) {
+            // Plane slab filter
+            if (range && (z[i] < range.min || z[i] > range.max)) continue;
+            // Gene-count filter
+            if (thr !== null && !(geneCounts[i] >= thr)) continue;
+            rows.push(i);
+        }
+        return rows;
+    }
+
+    // Build one legend chip (swatch, label, count, eye icon)
+    function buildLegendChip(label, count, color, isVisible, onClick) {
+        const item = document.createElement('div');
+        item.className = 'spatial-legend-chip';
+        if (!isVisible) item.classList.add('dim');
+
+        // Color swatch
+        const colorBox = document.createElement('div');
+        colorBox.className = 'spatial-legend-color';
+        colorBox.style.background = `rgb(${color[0]}, ${color[1]}, ${color[2]})`;
+
+        // Label
+        const labelSpan = document.createElement('span');
+        labelSpan.className = 'spatial-legend-label';
+        labelSpan.textContent = label;
+
+        // Count
+        const countSpan = document.createElement('span');
+        countSpan.className = 'spatial-legend-count';
+        countSpan.textContent = count.toLocaleString();
+        item.title = `${label}: ${count.toLocaleString()} cells`;
+
+        // Eye icon
+        const eyeWrap = document.createElement('span');
+        eyeWrap.className = 'spatial-chip-eye';
+        const eyeOpenSvg = `
+            <svg viewBox="0 0 24 24" aria-hidden="true">
+              <path d="M12 5c-7 0-11 7-11 7s4 7 11 7 11-7 11-7-4-7-11-7z" fill="none" stroke="currentColor" stroke-width="1.5"/>
+              <circle cx="12" cy="12" r="3" fill="currentColor"/>
+            </svg>`;
+        const eyeOffSvg = `
+            <svg viewBox="0 0 24 24" aria-hidden="true">
+              <path d="M12 5c-7 0-11 7-11 7s4 7 11 7 11-7 11-7-4-7-11-7z" fill="none" stroke="currentColor" stroke-width="1.5"/>
+              <circle cx="12" cy="12" r="3" fill="currentColor"/>
+              <line x1="4" y1="4" x2="20" y2="20" stroke="currentColor" stroke-width="1.5"/>
+            </svg>`;
+        eyeWrap.innerHTML = isVisible ? eyeOpenSvg : eyeOffSvg;
+
+        // Assemble
+        item.appendChild(colorBox);
+        item.appendChild(labelSpan);
+        item.appendChild(countSpan);
+        item.appendChild(eyeWrap);
+
+        // Click toggles visibility
+        item.addEventListener('click', onClick);
+        return item;
+    }
+
+    // Legend entries of change categories (diff mode)
+    function getDiffLegendEntries() {
+        const diff = window.SpatialViewer.diff;
         const counts = {};
-        getLegendFilteredCells().forEach(cell => {
-            counts[cell.class] = (counts[cell.class] || 0) + 1;
+        const filtered = getCurrentFiltered();
+        if (filtered) {
+            filtered.indices.forEach(i => {
+                const key = diff.getDiffCategory(state.cells, i);
+                counts[key] = (counts[key] || 0) + 1;
+            });
+        }
+
+        return diff.DIFF_CATEGORIES
+            .filter(cat => !(cat.key === 'unmatched' && !counts[cat.key]))
+            .map(cat => ({
+                label: cat.label,
+                count: counts[cat.key] || 0,
+                color: cat.color,
+                visible: state.diffCategoryVisible[cat.key],
+                onClick: () => toggleDiffCategoryVisibility(cat.key)
+            }));
+    }
+
+    // Legend entries of the expected-class categories (expected mode)
+    function getExpectedLegendEntries() {
+        const colorModes = window.SpatialViewer.colorModes;
+        const counts = {};
+        const filtered = getCurrentFiltered();
+        if (filtered) {
+            filtered.indices.forEach(i => {
+                const key = colorModes.getExpectedCategory(state.cells, i);
+                counts[key] = (counts[key] || 0) + 1;
+            });
+        }
+
+        return colorModes.EXPECTED_CATEGORIES.map(cat => ({
+            label: cat.label,
+            count: counts[cat.key] || 0,
+            color: cat.color,
+            visible: state.expectedCategoryVisible[cat.key],
+            onClick: () => toggleExpectedCategoryVisibility(cat.key)
+        }));
+    }
+
+    // Legend entries of a continuous mode: shown cells per value bin, lowest first
+    function getScaleLegendEntries(scale) {
+        const filtered = getCurrentFiltered();
+        const rows = filtered ? filtered.indices : [];
+        return window.SpatialViewer.colorModes.getScaleBins(scale, state.cells, rows).map(bin => ({
+            label: bin.label,
+            count: bin.count,
+            color: bin.color,
+            visible: true,
+            onClick: () => {}
+        }));
+    }
+
+    // Legend entries of class groups (group mode); a chip toggles all classes of its group
+    function getGroupLegendEntries() {
+        const grouping = window.ClassGrouping;
+        const counts = {};
+        const members = {};
+        Object.entries(getLegendClassCounts()).forEach(([className, count]) => {
+            const group = grouping.classify(className);
+            counts[group] = (counts[group] || 0) + count;
+            (members[group] = members[group] || new Set()).add(className);
         });
 
+        const filterText = (state.legendFilter || '').trim().toLowerCase();
+        return grouping.getGroupOrder()
+            .filter(group => counts[group] && (!filterText || group.toLowerCase().includes(filterText)))
+            .map(group => {
+                const classes = Array.from(members[group]);
+                const isVisible = classes.some(c => state.cellClassVisible[c]);
+                return {
+                    label: group,
+                    count: counts[group],
+                    color: window.SpatialViewer.colors.getColorForGroup(group),
+                    visible: isVisible,
+                    onClick: () => setClassesVisibility(classes, !isVisible)
+                };
+            });
+    }
+
+    // Legend entries of cell classes, largest first
+    function getClassLegendEntries() {
+        // Counts under the current plane/gene filters
+        let entries = Object.entries(getLegendClassCounts());
+
         // Filter and sort classes
-        let entries = Object.entries(counts);
         const filterText = (state.legendFilter || '').trim().toLowerCase();
         if (filterText) {
             entries = entries.filter(([className]) => {
                 return String(className).toLowerCase().includes(filterText);
             });
         }
-        const sortedClasses = entries.sort((a, b) => b[1] - a[1]);
-
-        sortedClasses.forEach(([className, count]) => {
-            const item = document.createElement('div');
-            item.className = 'spatial-legend-chip';
-            const isVisible = state.cellClassVisible[className];
-            if (!isVisible) item.classList.add('dim');
-
-            // Color swatch
-            const colorBox = document.createElement('div');
-            colorBox.className = 'spatial-legend-color';
-            const color = window.SpatialViewer.colors.getColorForClass(className);
-            colorBox.style.background = `rgb(${color[0]}, ${color[1]}, ${color[2]})`;
-
-            // Label
-            const label = document.createElement('span');
-            label.className = 'spatial-legend-label';
-            label.textContent = className;
-
-            // Count
-            const countSpan = document.createElement('span');
-            countSpan.className = 'spatial-legend-count';
-            countSpan.textContent = count.toLocaleString();
-            item.title = `${className}: ${count.toLocaleString()} cells`;
-
-            // Eye icon
-            const eyeWrap = document.createElement('span');
-            eyeWrap.className = 'spatial-chip-eye';
-            const eyeOpenSvg = `
-                <svg viewBox="0 0 24 24" aria-hidden="true">
-                  <path d="M12 5c-7 0-11 7-11 7s4 7 11 7 11-7 11-7-4-7-11-7z" fill="none" stroke="currentColor" stroke-width="1.5"/>
-                  <circle cx="12" cy="12" r="3" fill="currentColor"/>
-                </svg>`;
-            const eyeOffSvg = `
-                <svg viewBox="0 0 24 24" aria-hidden="true">
-                  <path d="M12 5c-7 0-11 7-11 7s4 7 11 7 11-7 11-7-4-7-11-7z" fill="none" stroke="currentColor" stroke-width="1.5"/>
-                  <circle cx="12" cy="12" r="3" fill="currentColor"/>
-                  <line x1="4" y1="4" x2="20" y2="20" stroke="currentColor" stroke-width="1.5"/>
-                </svg>`;
-            eyeWrap.innerHTML = isVisible ? eyeOpenSvg : eyeOffSvg;
-
-            // Assemble
-            item.appendChild(colorBox);
-            item.appendChild(label);
-            item.appendChild(countSpan);
-            item.appendChild(eyeWrap);
-
-            // Click toggles visibility
-            item.addEventListener('click', () => toggleClassVisibility(className));
-
-            legendItems.appendChild(item);
+        return entries.sort((a, b) => b[1] - a[1]).map(([className, count]) => ({
+            label: className,
+            count: count,
+            color: window.SpatialViewer.colors.getColorForClass(className),
+            visible: state.cellClassVisible[className],
+            onClick: () => toggleClassVisibility(className)
+        }));
+    }
+
+    // Legend entries for the active colour mode ({label, count, color, visible, onClick})
+    function getLegendEntries() {
+        if (isDiffModeReady()) return getDiffLegendEntries();
+        if (state.colorMode === 'expected') return getExpectedLegendEntries();
+        const scale = window.SpatialViewer.colorModes.getScale(state.colorMode);
+        if (scale) return getScaleLegendEntries(scale);
+        if (state.colorMode === 'group') return getGroupLegendEntries();
+        return getClassLegendEntries();
+    }
+
+    // Update legend with current cell class counts; continuous modes show a colour bar
+    window.SpatialViewer.updateLegend = function() {
+        const legendItems = document.getElementById('spatialLegendItems');
+        if (!legendItems) return;
+
+        legendItems.innerHTML = '';
+        const colorModes = window.SpatialViewer.colorModes;
+        const scale = colorModes.getScale(state.colorMode);
+        if (scale) {
+            const filtered = getCurrentFiltered();
+            legendItems.appendChild(colorModes.buildColorBar(scale, filtered ? filtered.indices.length : 0));
+            return;
+        }
+        if (state.colorMode === 'expected' && !window.SpatialViewer.regions.hasBoundaries()) {
+            const note = document.createElement('div');
+            note.className = 'spatial-note';
+            note.textContent = 'No region boundaries loaded: every cell is outside the regions.';
+            legendItems.appendChild(note);
+        }
+        getLegendEntries().forEach(entry => {
+            legendItems.appendChild(buildLegendChip(entry.label, entry.count, entry.color, entry.visible, entry.onClick));
         });
     };
 
+    // Set visibility of several classes at once
+    function setClassesVisibility(classNames, visible) {
+        classNames.forEach(className => { state.cellClassVisible[className] = visible; });
+        window.SpatialViewer.updateLegend();
+        render();
+    }
+
+    // Toggle diff category visibility
+    function toggleDiffCategoryVisibility(key) {
+        state.diffCategoryVisible[key] = !state.diffCategoryVisible[key];
+        window.SpatialViewer.updateLegend();
+        render();
+    }
+
+    // Toggle expected-class category visibility
+    function toggleExpectedCategoryVisibility(key) {
+        state.expectedCategoryVisible[key] = !state.expectedCategoryVisible[key];
+        window.SpatialViewer.updateLegend();
+        render();
+    }
+
     // Toggle class visibility
     function toggleClassVisibility(className) {
         state.cellClassVisible[className] = !state.cellClassVisible[className];
@@ -280,19 +637,28 @@
         render();
     }
 
-    // Show all classes
+    // Visibility toggled by the legend: change or expected-class categories, else classes
+    function getVisibilityMap() {
+        if (isDiffModeReady()) return state.diffCategoryVisible;
+        if (state.colorMode === 'expected') return state.expectedCategoryVisible;
+        return state.cellClassVisible;
+    }
+
+    // Show all classes (or all categories in the diff and expected modes)
     function showAllClasses() {
-        Object.keys(state.cellClassVisible).forEach(className => {
-            state.cellClassVisible[className] = true;
+        const visibility = getVisibilityMap();
+        Object.keys(visibility).forEach(className => {
+            visibility[className] = true;
         });
         window.SpatialViewer.updateLegend();
         render();
     }
 
-    // Hide all classes
+    // Hide all classes (or all categories in the diff and expected modes)
     function hideAllClasses() {
-        Object.keys(state.cellClassVisible).forEach(className => {
-            state.cellClassVisible[className] = false;
+        const visibility = getVisibilityMap();
+        Object.keys(visibility).forEach(className => {
+            visibility[className] = false;
         });
         window.SpatialViewer.updateLegend();
         render();
@@ -302,7 +668,13 @@
     window.SpatialViewer.render = render;
     window.SpatialViewer.rendering = {
         initializeDeck: initializeDeck,
+        createDeck: createDeck,
+        makeTooltip: makeTooltip,
+        applyViewState: applyViewState,
         autoFitView: autoFitView,
+        fitBounds: fitBounds,
+        getLegendFilteredIndices: getLegendFilteredIndices,
+        getLegendEntries: getLegendEntries,
         showAllClasses: showAllClasses,
         hideAllClasses: hideAllClasses
     };
@@ -0,0 +1,331 @@
+/**
+ * Cell Search for Spatial Viewer
+ * Finds cells of the shown run by id ("18342"), id list ("18342, 18350") or
+ * class name (exact, else every class containing the text), flies the view to
+ * them and draws a pulsing outline around each match the cells layer shows
+ * (matches hidden by the class, plane or gene-count filters are counted in the
+ * status line). Previous/Next step
+ * through the matches one cell at a time. The query is kept across runs, so
+ * the same ids can be followed from run to run.
+ */
+
+(function() {
+    'use strict';
+
+    window.SpatialViewer = window.SpatialViewer || {};
+    const state = window.SpatialViewer.state;
+
+    const HIGHLIGHT_LAYER_ID = 'search-highlight';
+    const MATCH_COLOR = [255, 255, 255, 220];
+    const CURRENT_COLOR = [255, 196, 0, 255];
+
+    // Half size (x/y units) of the box shown around a single cell
+    const FOCUS_HALF_SIZE = 120;
+
+    // Outline pulse: period (ms), minimum time between frames (ms) and growth at its peak
+    const PULSE_PERIOD = 1200;
+    const PULSE_INTERVAL = 50;
+    const PULSE_GROWTH = 0.6;
+
+    const ID_LIST_PATTERN = /^\d+(?:[\s,;]+\d+)*$/;
+
+    // query: text searched; table: cell table searched; matches: matching rows
+    // of it; index: current match (-1 until stepped to); missing: ids not found
+    let search = { query: '', table: null, matches: [], index: -1, missing: [], classes: [] };
+    let pulseFrame = null;
+    let lastPulse = 0;
+
+    // Matching rows of a query in the shown run
+    function findMatches(query) {
+        const table = state.cells;
+        const text = query.trim();
+        if (!text || !table) return { table, matches: [], missing: [], classes: [] };
+
+        if (ID_LIST_PATTERN.test(text)) {
+            const ids = Array.from(new Set(text.split(/[\s,;]+/).map(Number)));
+            const rows = ids.map(id => window.CellTable.indexOfId(table, id));
+            return {
+                table,
+                matches: rows.filter(i => i >= 0),
+                missing: ids.filter((id, k) => rows[k] < 0),
+                classes: []
+            };
+        }
+
+        const lower = text.toLowerCase();
+        const classNames = Object.keys(state.cellClassCounts);
+        let classes = classNames.filter(name => name.toLowerCase() === lower);
+        if (classes.length === 0) classes = classNames.filter(name => name.toLowerCase().includes(lower));
+        const wanted = new Set(classes);
+        const wantedIndex = table.classes.map(name => wanted.has(name));
+        const classIndex = table.columns.class;
+        const matches = [];
+        for (let i = 0; i < table.count; i++) {
+            if (wantedIndex[classIndex[i]]) matches.push(i);
+        }
+        return { table, matches, missing: [], classes: classes.sort() };
+    }
+
+    function cellBounds(rows) {
+        const { x, y } = search.table.columns;
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        rows.forEach(i => {
+            minX = Math.min(minX, x[i] - FOCUS_HALF_SIZE);
+            minY = Math.min(minY, y[i] - FOCUS_HALF_SIZE);
+            maxX = Math.max(maxX, x[i] + FOCUS_HALF_SIZE);
+            maxY = Math.max(maxY, y[i] + FOCUS_HALF_SIZE);
+        });
+        return { minX, minY, maxX, maxY };
+    }
+
+    // Fly to a match; an active plane slab moves to its plane when it is outside
+    function focusCell(i) {
+        window.SpatialViewer.rendering.fitBounds(cellBounds([i]));
+        const range = window.SpatialViewer.planes.getActiveRange();
+        const z = search.table.columns.z[i];
+        if (range && (z < range.min || z > range.max)) {
+            window.SpatialViewer.planes.setPlaneFilter(true, z);
+        } else {
+            window.SpatialViewer.render();
+        }
+    }
+
+    // Matches drawn by the cells layer, under the same class visibility, plane
+    // slab and gene-count filters (see SpatialViewer.render)
+    function getShownMatches() {
+        const table = search.table;
+        if (!table || search.matches.length === 0) return [];
+        const range = window.SpatialViewer.planes.getActiveRange();
+        const minGeneCount = state.useGeneFilter ? (Number(state.minGeneCount) || 0) : null;
+        const { z, gene_counts: geneCounts } = table.columns;
+        return search.matches.filter(i =>
+            state.cellClassVisible[window.CellTable.getClass(table, i)] !== false &&
+            (!range || (z[i] >= range.min && z[i] <= range.max)) &&
+            (minGeneCount === null || geneCounts[i] >= minGeneCount)
+        );
+    }
+
+    function describeCell(i) {
+        const table = search.table;
+        const plane = state.geom.is3D ? `, plane ${table.columns.z[i]}` : '';
+        return `id ${table.columns.id[i]} (${window.CellTable.getClass(table, i)}${plane})`;
+    }
+
+    function updateStatus() {
+        const status = document.getElementById('spatialSearchStatus');
+        const prevBtn = document.getElementById('spatialSearchPrev');
+        const nextBtn = document.getElementById('spatialSearchNext');
+        const n = search.matches.length;
+        if (prevBtn) prevBtn.disabled = n < 2;
+        if (nextBtn) nextBtn.disabled = n < 2;
+        if (!status) return;
+
+        if (!search.query) {
+            status.textContent = '';
+            return;
+        }
+        const run = state.currentRun || 'this run';
+        if (n === 0) {
+            status.textContent = search.missing.length
+                ? `No cell with id ${search.missing.join(', ')} in ${run}.`
+                : `No class matching "${search.query}" in ${run}.`;
+            return;
+        }
+
+        const parts = [];
+        if (search.index >= 0) {
+            parts.push(`${search.index + 1} of ${n.toLocaleString()}: ${describeCell(search.matches[search.index])}`);
+        } else {
+            parts.push(`${n.toLocaleString()} matching cell${n === 1 ? '' : 's'}`);
+        }
+        const hidden = n - getShownMatches().length;
+        if (hidden > 0) parts.push(`${hidden.toLocaleString()} hidden by the class, plane or gene-count filters`);
+        if (search.classes.length > 1) parts.push(`classes: ${search.classes.join(', ')}`);
+        if (search.missing.length) parts.push(`not in ${run}: ${search.missing.join(', ')}`);
+        status.textContent = parts.join(' · ');
+    }
+
+    // Search the shown run and fly to the matches
+    function find(query) {
+        search = Object.assign({ query: query.trim(), index: -1 }, findMatches(query));
+        // A single match is focused at once
+        if (search.matches.length === 1) search.index = 0;
+        updateStatus();
+        updatePulse();
+
+        if (search.matches.length === 1) {
+            focusCell(search.matches[0]);
+        } else {
+            if (search.matches.length > 1) window.SpatialViewer.rendering.fitBounds(cellBounds(search.matches));
+            window.SpatialViewer.render();
+        }
+        return search.matches.length;
+    }
+
+    // Step to the next (delta 1) or previous (delta -1) match
+    function step(delta) {
+        const n = search.matches.length;
+        if (n === 0) return;
+        search.index = search.index < 0
+            ? (delta > 0 ? 0 : n - 1)
+            : (search.index + delta + n) % n;
+        updateStatus();
+        focusCell(search.matches[search.index]);
+    }
+
+    function clear() {
+        search = { query: '', table: null, matches: [], index: -1, missing: [], classes: [] };
+        const input = document.getElementById('spatialSearchInput');
+        if (input) input.value = '';
+        updateStatus();
+        updatePulse();
+        window.SpatialViewer.render();
+    }
+
+    // New run: match the query against its cells, keeping the view
+    function refresh() {
+        const datalist = document.getElementById('spatialSearchClasses');
+        if (datalist) {
+            datalist.innerHTML = '';
+            Object.keys(state.cellClassCounts).sort().forEach(name => {
+                const option = document.createElement('option');
+                option.value = name;
+                datalist.appendChild(option);
+            });
+        }
+        if (!search.query) return;
+        const current = search.index >= 0 ? search.table.columns.id[search.matches[search.index]] : null;
+        search = Object.assign({ query: search.query, index: -1 }, findMatches(search.query));
+        if (current !== null) search.index = search.matches.findIndex(i => search.table.columns.id[i] === current);
+        updateStatus();
+        updatePulse();
+    }
+
+    // Pulse phase in [0, 1]
+    function pulsePhase() {
+        return (1 - Math.cos(2 * Math.PI * (performance.now() % PULSE_PERIOD) / PULSE_PERIOD)) / 2;
+    }
+
+    // Outline of every shown match, the current one emphasised; null without
+    // any. Called on every render, so the status and pulse follow the filters.
+    function buildHighlightLayer() {
+        updateStatus();
+        updatePulse();
+        const shown = getShownMatches();
+        if (shown.length === 0) return null;
+        const {ScatterplotLayer} = deck;
+        const current = search.index >= 0 ? search.matches[search.index] : null;
+        const { x, y, z, r } = search.table.columns;
+        const withZ = state.orbit.enabled;
+        const phase = pulsePhase();
+        return new ScatterplotLayer({
+            id: HIGHLIGHT_LAYER_ID,
+            data: shown,
+            pickable: false,
+            filled: false,
+            stroked: true,
+            billboard: withZ,
+            radiusUnits: 'common',
+            radiusMinPixels: 6,
+            lineWidthUnits: 'pixels',
+            radiusScale: 1 + PULSE_GROWTH * phase,
+            opacity: 1 - 0.5 * phase,
+            getPosition: i => withZ ? [x[i], y[i], z[i]] : [x[i], y[i]],
+            getRadius: i => r[i] * 2,
+            getLineColor: i => i === current ? CURRENT_COLOR : MATCH_COLOR,
+            getLineWidth: i => i === current ? 3 : 1.5,
+            updateTriggers: {
+                getPosition: withZ,
+                getLineColor: search.index,
+                getLineWidth: search.index
+            }
+        });
+    }
+
+    // Advance the pulse by cloning the drawn highlight layer (uniforms only)
+    function pulse() {
+        if (!state.deckgl) return;
+        const layers = state.deckgl.props.layers || [];
+        if (!layers.some(layer => layer && layer.id === HIGHLIGHT_LAYER_ID)) return;
+        const phase = pulsePhase();
+        state.deckgl.setProps({
+            layers: layers.map(layer => (layer && layer.id === HIGHLIGHT_LAYER_ID)
+                ? layer.clone({ radiusScale: 1 + PULSE_GROWTH * phase, opacity: 1 - 0.5 * phase })
+                : layer)
+        });
+    }
+
+    // The viewer can be seen: page shown and the spatial tab active
+    function isViewerVisible() {
+        const tab = document.getElementById('flowchartSpatialTabContent');
+        return !document.hidden && (!tab || tab.classList.contains('active'));
+    }
+
+    function shouldPulse() {
+        return search.matches.length > 0 && isViewerVisible();
+    }
+
+    // Animation frame of the pulse; stops itself once there is nothing to show
+    function pulseLoop(now) {
+        pulseFrame = null;
+        if (!shouldPulse()) return;
+        if (now - lastPulse >= PULSE_INTERVAL) {
+            lastPulse = now;
+            pulse();
+        }
+        pulseFrame = requestAnimationFrame(pulseLoop);
+    }
+
+    // Run the pulse while there are matches and the viewer is visible; it
+    // resumes on the next render or when the page is shown again
+    function updatePulse() {
+        if (pulseFrame === null && shouldPulse()) {
+            pulseFrame = requestAnimationFrame(pulseLoop);
+        } else if (pulseFrame !== null && !shouldPulse()) {
+            cancelAnimationFrame(pulseFrame);
+            pulseFrame = null;
+        }
+    }
+
+    // Setup the search box and match navigation
+    function initialize() {
+        const input = document.getElementById('spatialSearchInput');
+        const findBtn = document.getElementById('spatialSearchFind');
+        const prevBtn = document.getElementById('spatialSearchPrev');
+        const nextBtn = document.getElementById('spatialSearchNext');
+        const clearBtn = document.getElementById('spatialSearchClear');
+
+        if (input) {
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    // Enter on the same query steps to the next match
+                    if (input.value.trim() === search.query && search.matches.length > 1) {
+                        step(e.shiftKey ? -1 : 1);
+                    } else {
+                        find(input.value);
+                    }
+                } else if (e.key === 'Escape') {
+                    clear();
+                }
+            });
+        }
+        if (findBtn && input) findBtn.addEventListener('click', () => find(input.value));
+        if (prevBtn) prevBtn.addEventListener('click', () => step(-1));
+        if (nextBtn) nextBtn.addEventListener('click', () => step(1));
+        if (clearBtn) clearBtn.addEventListener('click', clear);
+        document.addEventListener('visibilitychange', updatePulse);
+        updateStatus();
+    }
+
+    // Export functions
+    window.SpatialViewer.search = {
+        initialize: initialize,
+        find: find,
+        step: step,
+        clear: clear,
+        refresh: refresh,
+        buildHighlightLayer: buildHighlightLayer
+    };
+
+})();
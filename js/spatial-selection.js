@@ -0,0 +1,333 @@
+/**
+ * Lasso/Box Selection for Spatial Viewer
+ * Draw a rectangle or freehand lasso over the selected-run view and report the
+ * class composition, gene-count distribution and base-run classes of the cells
+ * inside. Selection respects the plane and gene-count filters of the legend.
+ */
+
+(function() {
+    'use strict';
+
+    window.SpatialViewer = window.SpatialViewer || {};
+    const state = window.SpatialViewer.state;
+
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+    const SELECTION_COLOR = [255, 196, 0, 255];
+
+    // Active drawing tool ('box' | 'lasso' | null) and the stroke being drawn (screen px)
+    let activeTool = null;
+    let drawing = null;
+
+    // Base-run cell table, loaded once
+    let baseCells = { runId: null, table: null, promise: null };
+
+    let refreshTimer = null;
+
+    function getOverlay() {
+        return document.getElementById('spatialSelectionOverlay');
+    }
+
+    // Enable a drawing tool; the overlay captures the pointer instead of deck.gl
+    function setTool(tool) {
+        if (tool && state.orbit.enabled) {
+            window.SpatialViewer.showUserNotice('Selections are drawn in the 2D projection; switch the 3D view off first.');
+            tool = null;
+        }
+        activeTool = (tool === activeTool) ? null : tool;
+        const overlay = getOverlay();
+        if (overlay) overlay.classList.toggle('hidden', !activeTool);
+        document.querySelectorAll('.spatial-selection-tool').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.tool === activeTool);
+        });
+    }
+
+    function pointerPosition(event) {
+        const rect = getOverlay().getBoundingClientRect();
+        return [event.clientX - rect.left, event.clientY - rect.top];
+    }
+
+    // Screen outline of the stroke being drawn
+    function strokePolygon() {
+        if (!drawing) return [];
+        if (drawing.tool === 'box') {
+            const [x0, y0] = drawing.points[0];
+            const [x1, y1] = drawing.points[drawing.points.length - 1];
+            return [[x0, y0], [x1, y0], [x1, y1], [x0, y1]];
+        }
+        return drawing.points;
+    }
+
+    function drawStroke() {
+        const overlay = getOverlay();
+        let shape = overlay.querySelector('polygon');
+        if (!shape) {
+            shape = document.createElementNS(SVG_NS, 'polygon');
+            overlay.appendChild(shape);
+        }
+        shape.setAttribute('points', strokePolygon().map(p => p.join(',')).join(' '));
+    }
+
+    function onPointerDown(event) {
+        if (!activeTool || event.button !== 0) return;
+        event.preventDefault();
+        getOverlay().setPointerCapture(event.pointerId);
+        drawing = { tool: activeTool, points: [pointerPosition(event)] };
+        drawStroke();
+    }
+
+    function onPointerMove(event) {
+        if (!drawing) return;
+        const point = pointerPosition(event);
+        if (drawing.tool === 'box') {
+            drawing.points = [drawing.points[0], point];
+        } else {
+            const last = drawing.points[drawing.points.length - 1];
+            // Skip sub-pixel moves to keep the lasso light
+            if (Math.hypot(point[0] - last[0], point[1] - last[1]) >= 3) drawing.points.push(point);
+        }
+        drawStroke();
+    }
+
+    function onPointerUp() {
+        if (!drawing) return;
+        const screenPolygon = strokePolygon();
+        drawing = null;
+        const shape = getOverlay().querySelector('polygon');
+        if (shape) shape.remove();
+        setTool(null);
+
+        if (screenPolygon.length < 3 || !state.deckgl) return;
+
+        // Screen -> data coordinates of the selected-run view
+        const viewport = state.deckgl.getViewports()[0];
+        if (!viewport) return;
+        const polygon = screenPolygon.map(p => {
+            const [x, y] = viewport.unproject(p);
+            return [x, y];
+        });
+        setSelection(polygon);
+    }
+
+    function polygonBounds(polygon) {
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        polygon.forEach(([x, y]) => {
+            minX = Math.min(minX, x);
+            minY = Math.min(minY, y);
+            maxX = Math.max(maxX, x);
+            maxY = Math.max(maxY, y);
+        });
+        return { minX, minY, maxX, maxY };
+    }
+
+    function setSelection(polygon) {
+        state.selection.polygon = polygon;
+        state.selection.bounds = polygonBounds(polygon);
+        window.SpatialViewer.render();
+        refresh();
+    }
+
+    function clearSelection() {
+        state.selection.polygon = null;
+        state.selection.bounds = null;
+        state.selection.indices = [];
+        window.SpatialViewer.render();
+        renderPanel();
+    }
+
+    // Rows of the shown run inside the selection under the current plane and
+    // gene-count filters
+    function getSelectedIndices() {
+        const polygon = state.selection.polygon;
+        if (!polygon || !state.cells) return [];
+        const b = state.selection.bounds;
+        const pointInPolygon = window.SpatialViewer.regions.pointInPolygon;
+        const { x, y } = state.cells.columns;
+        return window.SpatialViewer.rendering.getLegendFilteredIndices().filter(i =>
+            x[i] >= b.minX && x[i] <= b.maxX && y[i] >= b.minY && y[i] <= b.maxY &&
+            pointInPolygon(x[i], y[i], [polygon])
+        );
+    }
+
+    // Outline of the selection in data coordinates (moves with the view)
+    function buildSelectionLayer(id) {
+        if (!state.selection.polygon) return null;
+        const {PathLayer} = deck;
+        return new PathLayer({
+            id: id,
+            data: [{ path: state.selection.polygon.concat([state.selection.polygon[0]]) }],
+            pickable: false,
+            widthUnits: 'pixels',
+            getPath: d => d.path,
+            getColor: SELECTION_COLOR,
+            getWidth: 2
+        });
+    }
+
+    function loadBaseCells() {
+        const runId = state.baseRunId;
+        if (!runId) return Promise.resolve(null);
+        if (baseCells.runId === runId && baseCells.promise) return baseCells.promise;
+        baseCells = { runId, table: null, promise: null };
+        baseCells.promise = window.SpatialViewer.loader.fetchCellsData(runId)
+            .then(table => {
+                baseCells.table = table;
+                return table;
+            })
+            .catch(error => {
+                console.warn(`Selection: could not load base run ${runId}:`, error);
+                baseCells = { runId: null, table: null, promise: null };
+                return null;
+            });
+        return baseCells.promise;
+    }
+
+    // Recompute the selection statistics (coalesced; called after every render)
+    function scheduleRefresh() {
+        if (!state.selection.polygon) return;
+        clearTimeout(refreshTimer);
+        refreshTimer = setTimeout(refresh, 150);
+    }
+
+    async function refresh() {
+        state.selection.indices = getSelectedIndices();
+        renderPanel();
+        if (state.selection.indices.length > 0 && !baseCells.table) {
+            await loadBaseCells();
+            if (state.selection.polygon) renderPanel();
+        }
+    }
+
+    function toRgb(color) {
+        return Array.isArray(color) ? `rgb(${color[0]},${color[1]},${color[2]})` : color;
+    }
+
+    // Horizontal bar chart of the most frequent classes
+    function renderClassBars(elementId, counts, title) {
+        const sorted = Object.entries(counts).sort((a, b) => b[1] - a[1]).slice(0, 12).reverse();
+        const total = Object.values(counts).reduce((sum, n) => sum + n, 0);
+        const colors = window.SpatialViewer.colors;
+        Plotly.newPlot(elementId, [{
+            type: 'bar',
+            orientation: 'h',
+            x: sorted.map(([, n]) => n),
+            y: sorted.map(([label]) => label),
+            marker: { color: sorted.map(([label]) => toRgb(colors.getColorForClass(label))) },
+            customdata: sorted.map(([, n]) => total > 0 ? n / total * 100 : 0),
+            hovertemplate: '%{y}<br>%{x:,} cells (%{customdata:.1f}%)<extra></extra>'
+        }], {
+            title: { text: title, font: { size: 12 } },
+            height: 300,
+            margin: { l: 10, r: 10, t: 30, b: 30 },
+            yaxis: { automargin: true, tickfont: { size: 10 } }
+        }, {responsive: true, displayModeBar: false});
+    }
+
+    function renderPanel() {
+        const panel = document.getElementById('spatialSelectionPanel');
+        if (!panel) return;
+        const summary = document.getElementById('spatialSelectionSummary');
+        const rows = state.selection.indices;
+
+        if (!state.selection.polygon) {
+            panel.classList.add('hidden');
+            ['selectionClassChart', 'selectionGeneChart', 'selectionBaseChart'].forEach(id => Plotly.purge(id));
+            return;
+        }
+        panel.classList.remove('hidden');
+
+        const filters = [];
+        const range = window.SpatialViewer.planes.getActiveRange();
+        if (range) filters.push(range.min === range.max ? `plane ${range.min}` : `planes ${range.min}–${range.max}`);
+        if (state.useGeneFilter) filters.push(`≥${state.minGeneCount} gene counts`);
+        let text = `${rows.length.toLocaleString()} cell(s) selected in ${state.currentRun}`
+            + (filters.length ? ` (${filters.join(', ')})` : '');
+
+        // Selected-run class composition
+        const table = state.cells;
+        const classCounts = window.CellTable.countClasses(table, rows);
+        renderClassBars('selectionClassChart', classCounts, `Classes in ${state.currentRun}`);
+
+        // Gene-count distribution
+        Plotly.newPlot('selectionGeneChart', [{
+            type: 'histogram',
+            x: rows.map(i => table.columns.gene_counts[i]).filter(Number.isFinite),
+            marker: { color: '#667eea' },
+            hovertemplate: '%{x} gene counts: %{y} cells<extra></extra>'
+        }], {
+            title: { text: 'Gene counts', font: { size: 12 } },
+            height: 300,
+            margin: { l: 40, r: 10, t: 30, b: 40 },
+            xaxis: { title: 'Total gene counts' },
+            yaxis: { title: 'Cells' },
+            bargap: 0.05
+        }, {responsive: true, displayModeBar: false});
+
+        // Classes of the same cells (matched by id) in the base run
+        if (baseCells.table) {
+            const CellTable = window.CellTable;
+            const baseCounts = {};
+            let same = 0;
+            let missing = 0;
+            rows.forEach(i => {
+                const j = CellTable.indexOfId(baseCells.table, table.columns.id[i]);
+                if (j < 0) {
+                    missing++;
+                    return;
+                }
+                const baseClass = CellTable.getClass(baseCells.table, j);
+                baseCounts[baseClass] = (baseCounts[baseClass] || 0) + 1;
+                if (baseClass === CellTable.getClass(table, i)) same++;
+            });
+            renderClassBars('selectionBaseChart', baseCounts, `Same cells in ${baseCells.runId}`);
+            const matched = rows.length - missing;
+            if (matched > 0) {
+                text += ` · ${(same / matched * 100).toFixed(1)}% keep their ${baseCells.runId} class`;
+            }
+            if (missing > 0) text += ` · ${missing.toLocaleString()} not in ${baseCells.runId}`;
+        } else {
+            Plotly.purge('selectionBaseChart');
+        }
+
+        if (summary) summary.textContent = text;
+    }
+
+    function initialize() {
+        const overlay = getOverlay();
+        if (!overlay) return;
+
+        overlay.addEventListener('pointerdown', onPointerDown);
+        overlay.addEventListener('pointermove', onPointerMove);
+        overlay.addEventListener('pointerup', onPointerUp);
+        overlay.addEventListener('pointercancel', onPointerUp);
+
+        document.querySelectorAll('.spatial-selection-tool').forEach(btn => {
+            btn.addEventListener('click', () => setTool(btn.dataset.tool));
+        });
+        const clearBtn = document.getElementById('spatialSelectionClear');
+        if (clearBtn) clearBtn.addEventListener('click', () => {
+            setTool(null);
+            clearSelection();
+        });
+
+        // Escape cancels the active tool
+        window.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && activeTool) {
+                drawing = null;
+                const shape = overlay.querySelector('polygon');
+                if (shape) shape.remove();
+                setTool(null);
+            }
+        });
+    }
+
+    // Export functions
+    window.SpatialViewer.selection = {
+        initialize: initialize,
+        setTool: setTool,
+        clearSelection: clearSelection,
+        getSelectedIndices: getSelectedIndices,
+        buildSelectionLayer: buildSelectionLayer,
+        scheduleRefresh: scheduleRefresh
+    };
+
+})();
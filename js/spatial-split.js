@@ -0,0 +1,85 @@
+/**
+ * Split layout for Spatial Viewer
+ * Shows the reference run (left) next to the selected run (right) in two
+ * deck.gl instances that share one view state, so pan and zoom stay locked
+ */
+
+(function() {
+    'use strict';
+
+    window.SpatialViewer = window.SpatialViewer || {};
+    const state = window.SpatialViewer.state;
+
+    // Keep both views on the same view state
+    function onSharedViewStateChange({viewState}) {
+        window.SpatialViewer.rendering.applyViewState(viewState);
+    }
+
+    // Only record the view state while a single view is shown
+    function onSingleViewStateChange({viewState}) {
+        state.viewState = viewState;
+    }
+
+    // Update the run labels above each view
+    function updateLabels() {
+        const mainLabel = document.getElementById('spatialMainLabel');
+        const compareLabel = document.getElementById('spatialCompareLabel');
+        if (mainLabel) mainLabel.textContent = `${state.currentRun || '--'} (selected)`;
+        if (compareLabel) compareLabel.textContent = `${state.reference.runId || '--'} (reference)`;
+    }
+
+    // Switch between the single and the split layout
+    async function setSplitView(enabled) {
+        const rendering = window.SpatialViewer.rendering;
+        const main = document.querySelector('.spatial-main');
+        const compareContainer = document.getElementById('spatialCompareContainer');
+        const toggleBtn = document.getElementById('spatialSplitToggle');
+
+        state.splitView = !!enabled;
+        if (main) main.classList.toggle('split', state.splitView);
+        if (compareContainer) compareContainer.classList.toggle('hidden', !state.splitView);
+        if (toggleBtn) toggleBtn.classList.toggle('active', state.splitView);
+        updateLabels();
+
+        if (!state.deckgl) return;
+
+        if (state.splitView) {
+            if (!state.compareDeck) {
+                state.compareDeck = rendering.createDeck(
+                    'spatialCompareContainer',
+                    rendering.makeTooltip(() => state.reference.runId)
+                );
+            }
+            const viewState = state.viewState || { target: [3200, 2200, 0], zoom: -1 };
+            state.deckgl.setProps({viewState, onViewStateChange: onSharedViewStateChange});
+            state.compareDeck.setProps({viewState, onViewStateChange: onSharedViewStateChange});
+
+            if (state.reference.runId) {
+                await window.SpatialViewer.diff.loadReferenceCells(state.reference.runId);
+                // Split view may have been closed while loading
+                if (!state.splitView) return;
+            }
+        } else {
+            if (state.compareDeck) {
+                state.compareDeck.finalize();
+                state.compareDeck = null;
+            }
+            // Hand the current view back to the uncontrolled single view
+            state.deckgl.setProps({
+                viewState: null,
+                initialViewState: state.viewState,
+                onViewStateChange: onSingleViewStateChange
+            });
+        }
+
+        window.SpatialViewer.updateLegend();
+        window.SpatialViewer.render();
+    }
+
+    // Export functions
+    window.SpatialViewer.split = {
+        setSplitView: setSplitView,
+        updateLabels: updateLabels
+    };
+
+})();
@@ -0,0 +1,309 @@
+/**
+ * Classification Stability for Spatial Viewer
+ * Scores every cell by how consistently the runs of a parameter sweep (or all
+ * runs) classify it: the fraction of runs agreeing with its modal class, or
+ * the number of distinct classes it received. Cells are matched across runs by
+ * id. The "stability" colour mode draws the score through a colormap, and the
+ * summary panel charts the mean score per region and per modal class.
+ */
+
+(function() {
+    'use strict';
+
+    window.SpatialViewer = window.SpatialViewer || {};
+    const state = window.SpatialViewer.state;
+
+    const METRICS = {
+        agreement: { title: 'Runs agreeing with the modal class', short: 'agreement' },
+        distinct:  { title: 'Distinct classes across runs',      short: 'distinct classes' }
+    };
+
+    // Classes listed in the per-class chart: the least stable ones with enough cells
+    const CLASS_CHART_MAX = 25;
+    const CLASS_CHART_MIN_CELLS = 20;
+
+    // sweep key ('all' or a parameter) -> { runIds, byId: Map id -> score, maxDistinct }
+    const scoreCache = new Map();
+
+    // Runs scored for a sweep key, each once
+    function getRunIds(sweepKey) {
+        const runIds = [];
+        state.sweeps
+            .filter(sweep => sweepKey === 'all' || sweep.parameter === sweepKey)
+            .forEach(sweep => sweep.runs.forEach(run => {
+                if (!runIds.includes(run.runId)) runIds.push(run.runId);
+            }));
+        return runIds;
+    }
+
+    // Score per cell id over several cell tables:
+    // { modal, agreement (modal runs / runs present), distinct, runs }
+    function computeScores(tables) {
+        const classesById = new Map();
+        tables.forEach(table => {
+            const { id, class: classIndex } = table.columns;
+            for (let i = 0; i < table.count; i++) {
+                let counts = classesById.get(id[i]);
+                if (!counts) {
+                    counts = new Map();
+                    classesById.set(id[i], counts);
+                }
+                const label = table.classes[classIndex[i]];
+                counts.set(label, (counts.get(label) || 0) + 1);
+            }
+        });
+
+        const byId = new Map();
+        let maxDistinct = 1;
+        classesById.forEach((counts, id) => {
+            let modal = null;
+            let best = 0;
+            let runs = 0;
+            counts.forEach((n, label) => {
+                runs += n;
+                if (n > best) {
+                    best = n;
+                    modal = label;
+                }
+            });
+            byId.set(id, { modal, agreement: best / runs, distinct: counts.size, runs });
+            maxDistinct = Math.max(maxDistinct, counts.size);
+        });
+        return { byId, maxDistinct };
+    }
+
+    function getScores() {
+        return scoreCache.get(state.stability.sweep) || null;
+    }
+
+    // Load the runs of the chosen sweep and score the cells (once per sweep).
+    // Resolves to false when superseded or when no run could be loaded.
+    async function load() {
+        const sweepKey = state.stability.sweep;
+        if (scoreCache.has(sweepKey)) return true;
+        const runIds = getRunIds(sweepKey);
+        if (runIds.length === 0) return false;
+
+        const scores = await window.RequestManager.run('stability', 'stability scores', async request => {
+            const loader = window.SpatialViewer.loader;
+            const tables = await Promise.all(runIds.map(runId => loader.fetchCellsData(runId, { signal: request.signal })
+                .catch(error => {
+                    if (window.RequestManager.isAbortError(error)) throw error;
+                    console.warn(`Stability: could not load ${runId}:`, error);
+                    return null;
+                })));
+            const loaded = tables.filter(Boolean);
+            if (loaded.length === 0) return null;
+            return Object.assign({ runIds, loadedRuns: loaded.length }, computeScores(loaded));
+        });
+        if (!scores) return false;
+        scoreCache.set(sweepKey, scores);
+        return state.stability.sweep === sweepKey;
+    }
+
+    // Score of a row of a cell table under the chosen metric (NaN until scored)
+    function getCellScore(table, i) {
+        const scores = getScores();
+        const score = scores && scores.byId.get(table.columns.id[i]);
+        return score ? score[state.stability.metric] : NaN;
+    }
+
+    // Colour scale of the stability mode (see SpatialViewer.colorModes.getScale);
+    // scored on the page, so it has no filter column
+    function getScale() {
+        const scores = getScores();
+        const metric = state.stability.metric;
+        if (metric === 'distinct') {
+            const max = Math.max(2, scores ? scores.maxDistinct : 2);
+            return {
+                title: METRICS.distinct.title,
+                column: null,
+                cellValue: getCellScore,
+                domain: [1, max],
+                saturated: false,
+                // One class (stable) green, many red
+                color: t => window.SpatialViewer.colorModes.toRgb(d3.interpolateRdYlGn(1 - t))
+            };
+        }
+        return {
+            title: METRICS.agreement.title,
+            column: null,
+            cellValue: getCellScore,
+            domain: [0, 1],
+            saturated: false,
+            color: t => window.SpatialViewer.colorModes.toRgb(d3.interpolateRdYlGn(t))
+        };
+    }
+
+    // Mean score of groups of the rows of a cell table (groupOf(row) -> key):
+    // [{ key, mean, count }]
+    function meanScores(table, groupOf) {
+        const groups = new Map();
+        for (let i = 0; i < table.count; i++) {
+            const value = getCellScore(table, i);
+            const key = groupOf(i);
+            if (!Number.isFinite(value) || key === null || key === undefined) continue;
+            const group = groups.get(key) || { key, sum: 0, count: 0 };
+            group.sum += value;
+            group.count++;
+            groups.set(key, group);
+        }
+        return Array.from(groups.values()).map(g => ({ key: g.key, mean: g.sum / g.count, count: g.count }));
+    }
+
+    function renderRegionChart(metric) {
+        const regions = window.SpatialViewer.regions;
+        if (!regions.hasBoundaries()) {
+            Plotly.purge('stabilityRegionChart');
+            const el = document.getElementById('stabilityRegionChart');
+            if (el) el.innerHTML = '<p class="chart-description">No region boundaries loaded, so cells have no region.</p>';
+            return;
+        }
+        const rows = meanScores(state.cells, i => window.CellTable.getRegion(state.cells, i))
+            .sort((a, b) => String(a.key).localeCompare(String(b.key)));
+        Plotly.newPlot('stabilityRegionChart', [{
+            type: 'bar',
+            x: rows.map(r => String(r.key).toUpperCase()),
+            y: rows.map(r => r.mean),
+            customdata: rows.map(r => r.count),
+            marker: { color: '#667eea' },
+            hovertemplate: `%{x}: mean ${METRICS[metric].short} %{y:.2f}<br>%{customdata:,} cells<extra></extra>`
+        }], {
+            title: { text: 'Per region', font: { size: 12 } },
+            height: 320,
+            margin: { l: 50, r: 10, t: 30, b: 40 },
+            yaxis: { title: `Mean ${METRICS[metric].short}`, range: metric === 'agreement' ? [0, 1] : undefined }
+        }, {responsive: true, displayModeBar: false});
+    }
+
+    function renderClassChart(metric) {
+        const colors = window.SpatialViewer.colors;
+        const scores = getScores();
+        // Grouped by the modal class across the runs, not the class in the shown run
+        const ids = state.cells.columns.id;
+        const rows = meanScores(state.cells, i => {
+            const score = scores.byId.get(ids[i]);
+            return score ? score.modal : null;
+        })
+            .filter(r => r.count >= CLASS_CHART_MIN_CELLS)
+            // Least stable first
+            .sort((a, b) => metric === 'agreement' ? a.mean - b.mean : b.mean - a.mean)
+            .slice(0, CLASS_CHART_MAX)
+            .reverse();
+        Plotly.newPlot('stabilityClassChart', [{
+            type: 'bar',
+            orientation: 'h',
+            x: rows.map(r => r.mean),
+            y: rows.map(r => r.key),
+            customdata: rows.map(r => r.count),
+            marker: { color: rows.map(r => {
+                const c = colors.getColorForClass(r.key);
+                return `rgb(${c[0]},${c[1]},${c[2]})`;
+            }) },
+            hovertemplate: `%{y}<br>mean ${METRICS[metric].short} %{x:.2f}<br>%{customdata:,} cells<extra></extra>`
+        }], {
+            title: { text: `Per modal class (least stable ${CLASS_CHART_MAX}, ≥${CLASS_CHART_MIN_CELLS} cells)`, font: { size: 12 } },
+            height: Math.max(320, 40 + 18 * rows.length),
+            margin: { l: 10, r: 10, t: 30, b: 40 },
+            xaxis: { title: `Mean ${METRICS[metric].short}`, range: metric === 'agreement' ? [0, 1] : undefined },
+            yaxis: { automargin: true, tickfont: { size: 10 } }
+        }, {responsive: true, displayModeBar: false});
+    }
+
+    // Summary panel: shown in the stability mode once the scores are in
+    function updatePanel() {
+        const panel = document.getElementById('spatialStabilityPanel');
+        if (!panel) return;
+        const scores = getScores();
+        if (state.colorMode !== 'stability' || !scores || !state.cells) {
+            panel.classList.add('hidden');
+            ['stabilityRegionChart', 'stabilityClassChart'].forEach(id => Plotly.purge(id));
+            return;
+        }
+        panel.classList.remove('hidden');
+
+        const metric = state.stability.metric;
+        const sweepLabel = state.stability.sweep === 'all' ? 'all runs' : `the ${state.stability.sweep} sweep`;
+        let stable = 0;
+        let scored = 0;
+        state.cells.columns.id.forEach(id => {
+            const score = scores.byId.get(id);
+            if (!score) return;
+            scored++;
+            if (score.distinct === 1) stable++;
+        });
+        const summary = document.getElementById('spatialStabilitySummary');
+        if (summary) {
+            summary.textContent = `${scores.loadedRuns} run(s) of ${sweepLabel}`
+                + (scores.loadedRuns < scores.runIds.length ? ` (${scores.runIds.length - scores.loadedRuns} failed to load)` : '')
+                + ` · ${scored.toLocaleString()} cells of ${state.currentRun} scored`
+                + (scored ? ` · ${(stable / scored * 100).toFixed(1)}% keep one class in every run` : '');
+        }
+
+        renderRegionChart(metric);
+        renderClassChart(metric);
+    }
+
+    // Sidebar controls: shown in the stability mode; sweep options from the dashboard
+    function updateControls() {
+        const controls = document.getElementById('spatialStabilityControls');
+        const sweepSelect = document.getElementById('spatialStabilitySweep');
+        const metricSelect = document.getElementById('spatialStabilityMetric');
+        if (controls) controls.classList.toggle('hidden', state.colorMode !== 'stability');
+        if (sweepSelect && sweepSelect.options.length !== state.sweeps.length + 1) {
+            sweepSelect.innerHTML = '';
+            const all = document.createElement('option');
+            all.value = 'all';
+            all.textContent = `All runs (${getRunIds('all').length})`;
+            sweepSelect.appendChild(all);
+            state.sweeps.forEach(sweep => {
+                const opt = document.createElement('option');
+                opt.value = sweep.parameter;
+                opt.textContent = `${sweep.displayName} sweep (${sweep.runs.length} runs)`;
+                sweepSelect.appendChild(opt);
+            });
+        }
+        if (sweepSelect) sweepSelect.value = state.stability.sweep;
+        if (metricSelect) metricSelect.value = state.stability.metric;
+    }
+
+    // Redraw after a change of sweep or metric
+    async function refresh() {
+        updateControls();
+        if (state.colorMode !== 'stability') return;
+        await load();
+        if (state.colorMode !== 'stability') return;
+        window.SpatialViewer.updateLegend();
+        window.SpatialViewer.render();
+        updatePanel();
+    }
+
+    function initialize() {
+        const sweepSelect = document.getElementById('spatialStabilitySweep');
+        const metricSelect = document.getElementById('spatialStabilityMetric');
+        if (sweepSelect) {
+            sweepSelect.addEventListener('change', (e) => {
+                state.stability.sweep = e.target.value;
+                refresh();
+            });
+        }
+        if (metricSelect) {
+            metricSelect.addEventListener('change', (e) => {
+                state.stability.metric = e.target.value;
+                refresh();
+            });
+        }
+        updateControls();
+    }
+
+    // Export functions
+    window.SpatialViewer.stability = {
+        METRICS: METRICS,
+        initialize: initialize,
+        load: load,
+        getScale: getScale,
+        updateControls: updateControls,
+        updatePanel: updatePanel
+    };
+
+})();
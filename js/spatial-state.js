@@ -12,7 +12,7 @@
 
     // Application state
     const state = {
-        cells: [],  // Array of {x, y, z, r, class, id}
+        cells: null,  // Cell table of the shown run (see js/cell-table.js)
         numCells: 0,
         currentRun: null,
         cellClassColors: {},
@@ -22,6 +22,13 @@
         // deck.gl instance
         deckgl: null,
 
+        // Split layout: second deck.gl instance showing the reference run
+        splitView: false,
+        compareDeck: null,
+
+        // Last known view state (shared by both views in split mode)
+        viewState: null,
+
         // Geometry metadata
         geom: {
             ready: false,
@@ -33,16 +40,75 @@
         // Has the view been auto-fitted once?
         viewFitted: false,
 
-        // Plane filter (3D)
+        // 3D orbit view: cells placed at their z-plane, which is zScale x/y
+        // units high (voxel anisotropy)
+        orbit: {
+            enabled: false,
+            zScale: 5
+        },
+
+        // Plane filter (3D): slab of planes shown, inclusive z-values { min, max }
         planeFilterEnabled: false,
-        selectedPlane: null,
+        planeRange: null,
+
+        // Slab playback through the stack, in planes per second
+        planePlayback: {
+            playing: false,
+            speed: 4
+        },
 
         // Gene count filter (from dashboard toggle)
         useGeneFilter: false,
         minGeneCount: 40,
 
+        // Latest cell-worker filter result of the shown run:
+        // { cells (its table), indices (rows shown), classCounts (under plane/gene filters) }
+        filtered: null,
+
         // Legend filter
-        legendFilter: ''
+        legendFilter: '',
+
+        // Colouring: 'class', 'group' (active class grouping), 'genes' (gene counts),
+        // 'depth' (z-plane), 'expected' (region's expected class), 'stability'
+        // (agreement across runs) or 'diff' (change vs reference run)
+        colorMode: 'class',
+
+        // Stability colouring: runs scored ('all' or a sweep parameter) and the
+        // score ('agreement' with the modal class or 'distinct' classes)
+        stability: {
+            sweep: 'all',
+            metric: 'agreement'
+        },
+
+        // Reference run for the diff colouring (cells matched by id)
+        reference: {
+            runId: null,
+            cells: null  // Cell table, loaded on demand
+        },
+        diffCategoryVisible: {},  // Maps diff category key to visibility
+        expectedCategoryVisible: {},  // Maps expected-class category key to visibility
+
+        // Region boundaries (data/region_boundaries.geojson, optional)
+        regions: {
+            list: [],            // [{ key, polygons, bounds }]
+            loaded: false,
+            showOutlines: true,
+            highlighted: null    // Region key drawn emphasised (dashboard region selector)
+        },
+
+        // Base run of the dashboard (set by main.js), for the selection statistics
+        baseRunId: null,
+
+        // Parameter sweeps of the dashboard (set by main.js), for the cell inspector:
+        // [{ parameter, displayName, runs: [{ runId, label, isBase }] }]
+        sweeps: [],
+
+        // Lasso/box selection in data coordinates
+        selection: {
+            polygon: null,  // [[x, y], ...]
+            bounds: null,   // { minX, minY, maxX, maxY } of the polygon
+            indices: []     // Rows of the cells inside under the current filters
+        }
     };
 
     // Export state and helper functions
@@ -50,15 +116,13 @@
 
     // Update cell class counts
     window.SpatialViewer.updateCellClassCounts = function() {
-        if (!state.cells || state.cells.length === 0) return;
+        if (!state.cells || state.cells.count === 0) return;
 
         // Count cells per class
-        state.cellClassCounts = {};
-        state.cells.forEach(cell => {
-            const className = cell.class;
-            state.cellClassCounts[className] = (state.cellClassCounts[className] || 0) + 1;
+        state.cellClassCounts = window.CellTable.countClasses(state.cells);
 
-            // Initialize visibility to true for new classes
+        // Initialize visibility to true for new classes
+        Object.keys(state.cellClassCounts).forEach(className => {
             if (!(className in state.cellClassVisible)) {
                 state.cellClassVisible[className] = true;
             }
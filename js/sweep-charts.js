@@ -0,0 +1,188 @@
+// Parameter sweep trend charts
+// Regional purity against every value of one hyperparameter, with all other
+// parameters at their base values.
+
+// Region line colours, shared by the two sweep charts
+const SWEEP_REGION_COLORS = {
+    'ca1': '#d62728',
+    'ca2': '#ff7f0e',
+    'ca3': '#9467bd',
+    'dg':  '#2ca02c'
+};
+
+// Latest renderSweepCharts() call; renders it supersedes are not drawn
+let sweepRenderToken = 0;
+
+// Populate the parameter selector and wire its event
+function setupSweepCharts() {
+    const select = document.getElementById('sweepParamSelect');
+    if (!select) return;
+
+    select.innerHTML = '';
+    Object.entries(PARAM_CONFIG).forEach(([name, cfg]) => {
+        const opt = document.createElement('option');
+        opt.value = name;
+        opt.textContent = `${cfg.displayName} (${cfg.values.length} values)`;
+        select.appendChild(opt);
+    });
+
+    select.addEventListener('change', () => {
+        renderSweepCharts().catch(e => console.warn('Failed to render sweep charts:', e));
+    });
+}
+
+// Runs of a sweep: one entry per value of the parameter that has a run
+function getSweepRuns(paramName) {
+    const cfg = PARAM_CONFIG[paramName];
+    const defaults = {};
+    Object.entries(PARAM_CONFIG).forEach(([name, c]) => { defaults[name] = c.default; });
+
+    return cfg.values
+        .map(value => {
+            const config = Object.assign({}, defaults, { [paramName]: value });
+            return { value, config, runId: getRunIdForConfig(config) };
+        })
+        .filter(entry => entry.runId);
+}
+
+// Every sweep as { parameter, displayName, runs: [{ runId, label, isBase }] } in
+// value order, for the Spatial Viewer's cell inspector
+function getSweepGroups() {
+    return Object.entries(PARAM_CONFIG).map(([name, cfg]) => ({
+        parameter: name,
+        displayName: cfg.displayName,
+        runs: getSweepRuns(name).map(entry => ({
+            runId: entry.runId,
+            label: formatParamValue(entry.value),
+            isBase: paramValueKey(entry.value) === paramValueKey(cfg.default)
+        }))
+    }));
+}
+
+// A log axis reads better when positive values span two or more decades
+function useLogAxis(values) {
+    const numeric = values.filter(v => typeof v === 'number');
+    if (numeric.length !== values.length || numeric.some(v => v <= 0)) return false;
+    return Math.max(...numeric) / Math.min(...numeric) >= 100;
+}
+
+// Render both sweep charts for the selected parameter
+async function renderSweepCharts() {
+    const select = document.getElementById('sweepParamSelect');
+    if (!select || !state.metadata) return;
+
+    // Default to the parameter currently changed in the controls, if any
+    if (!select.dataset.initialized) {
+        const current = getCurrentConfig();
+        const changed = Object.keys(PARAM_CONFIG).find(name => paramValueKey(current[name]) !== paramValueKey(PARAM_CONFIG[name].default));
+        if (changed) select.value = changed;
+        select.dataset.initialized = 'true';
+    }
+
+    const paramName = select.value;
+    const cfg = PARAM_CONFIG[paramName];
+    if (!cfg) return;
+
+    const token = ++sweepRenderToken;
+    const threshold = state.geneThreshold;
+    const sweep = getSweepRuns(paramName);
+    const loaded = await Promise.all(sweep.map(async entry => {
+        try {
+            return Object.assign({}, entry, { data: await loadRunAggregate(entry.runId) });
+        } catch (err) {
+            console.warn(`Sweep: failed to load ${entry.runId}:`, err);
+            return null;
+        }
+    }));
+
+    const points = loaded.filter(Boolean);
+
+    // Between the precomputed cut-offs the second chart needs aggregates recomputed from cells
+    if (getPrecomputedFilterKey(threshold) === null) {
+        await Promise.all(points.map(p => loadThresholdAggregate(p.runId, threshold).catch(() => null)));
+    }
+
+    // Parameter, threshold or expected classes may have changed while loading
+    if (token !== sweepRenderToken) return;
+
+    const logAxis = useLogAxis(points.map(p => p.value));
+
+    renderSweepChart('sweepPurityChart', points, cfg, logAxis, (data, region) => RegionDefinitions.computePurity(region, data.regions[region]));
+    renderSweepChart('sweepHighGeneChart', points, cfg, logAxis, (data, region) => getRegionPurity(data, region));
+    const title = document.getElementById('sweepThresholdTitle');
+    if (title) {
+        title.textContent = threshold > 0
+            ? `Regional purity across the sweep (≥${threshold} gene counts)`
+            : 'Regional purity across the sweep (gene-count threshold off)';
+    }
+
+    const note = document.getElementById('sweepNote');
+    if (note) {
+        const missing = cfg.values.length - points.length;
+        note.textContent = `${points.length} run(s) in the ${cfg.displayName} sweep`
+            + (missing > 0 ? `; ${missing} value(s) have no run with the other parameters at base.` : '.')
+            + (logAxis ? ' Log-scaled x-axis.' : '');
+    }
+}
+
+// Render one purity-vs-value chart; getPurity(runData, region) returns the purity to plot
+function renderSweepChart(elementId, points, cfg, logAxis, getPurity) {
+    const container = document.getElementById(elementId);
+    if (!container) return;
+
+    const baseKey = paramValueKey(cfg.default);
+    const xs = points.map(p => p.value);
+
+    const traces = Object.keys(REGION_NAMES).map(region => ({
+        type: 'scatter',
+        mode: 'lines+markers',
+        name: REGION_NAMES[region],
+        x: xs,
+        y: points.map(p => getPurity(p.data, region)),
+        customdata: points.map(p => p.runId),
+        line: { color: SWEEP_REGION_COLORS[region] },
+        marker: {
+            // Base run drawn as a larger diamond
+            symbol: points.map(p => paramValueKey(p.value) === baseKey ? 'diamond' : 'circle'),
+            size: points.map(p => paramValueKey(p.value) === baseKey ? 12 : 7)
+        },
+        hovertemplate: `${cfg.displayName}=%{x}<br>%{customdata}: %{y:.1f}%<extra>${REGION_NAMES[region]}</extra>`
+    }));
+
+    const layout = {
+        xaxis: {
+            title: cfg.displayName,
+            type: logAxis ? 'log' : 'linear',
+            tickvals: xs,
+            ticktext: xs.map(formatParamValue),
+            automargin: true
+        },
+        yaxis: { title: 'Classification Accuracy (%)', range: [0, 100], automargin: true },
+        shapes: [{
+            type: 'line', xref: 'x', yref: 'paper',
+            x0: cfg.default, x1: cfg.default, y0: 0, y1: 1,
+            line: { color: '#718096', width: 1, dash: 'dash' }
+        }],
+        annotations: [{
+            xref: 'x', yref: 'paper', x: logAxis ? Math.log10(cfg.default) : cfg.default, y: 1,
+            text: `base (${state.metadata.base_run})`, showarrow: false,
+            yanchor: 'bottom', font: { size: 10, color: '#718096' }
+        }],
+        legend: { orientation: 'h', y: -0.25 },
+        height: 400,
+        margin: { l: 50, r: 10, t: 20, b: 40 }
+    };
+
+    Plotly.newPlot(container, traces, layout, {responsive: true});
+
+    // Clicking a point selects that run in the controls
+    if (container.removeAllListeners) container.removeAllListeners('plotly_click');
+    container.on('plotly_click', (event) => {
+        const point = event && event.points && event.points[0];
+        if (!point) return;
+        const entry = points[point.pointIndex];
+        if (!entry) return;
+        setParameterRadios(entry.config);
+        onParameterChange(null);
+    });
+}
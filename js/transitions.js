@@ -0,0 +1,58 @@
+// Cell-level classification transitions computed in the browser
+// Cells of two runs are matched by id (the _cells.json files share ids), so
+// flows can be built for any pair of runs, any class grouping and any
+// gene-count threshold. Precomputed transitions blocks are only a shortcut.
+
+// Load the cell table of a run through the shared data cache (the same table
+// the Spatial Viewer shows). Cells are tagged with their region when region
+// boundaries are available.
+function loadRunCells(runId) {
+    return DataCache.loadCellsData(runId);
+}
+
+// Count transitions between two cell tables matched by id.
+// options.groupFn maps a class label to its group (default: simplifyClassLabel)
+// options.minGeneCount keeps cells whose reference-side gene_counts reach it
+//   (the same side the precomputed high_gene blocks filter on)
+// options.region restricts to reference cells tagged with that region, when
+//   the cells carry region labels
+function computeTransitions(refCells, selCells, options = {}) {
+    const groupFn = options.groupFn || simplifyClassLabel;
+    const minGeneCount = Number(options.minGeneCount) || 0;
+    const regionApplied = !!options.region && CellTable.hasRegions(refCells);
+
+    // Groups per class index of each table
+    const refGroups = refCells.classes.map(groupFn);
+    const selGroups = selCells.classes.map(groupFn);
+    const ref = refCells.columns;
+
+    const counts = new Map();
+    let matched = 0;
+    let unmatched = 0;
+    for (let i = 0; i < refCells.count; i++) {
+        if (regionApplied && CellTable.getRegion(refCells, i) !== options.region) continue;
+        if (minGeneCount > 0 && !(ref.gene_counts[i] >= minGeneCount)) continue;
+
+        const j = CellTable.indexOfId(selCells, ref.id[i]);
+        if (j < 0) {
+            unmatched++;
+            continue;
+        }
+        matched++;
+        const key = `${refGroups[ref.class[i]]}\u0000${selGroups[selCells.columns.class[j]]}`;
+        counts.set(key, (counts.get(key) || 0) + 1);
+    }
+
+    const transitions = Array.from(counts.entries()).map(([key, count]) => {
+        const [from, to] = key.split('\u0000');
+        return { from, to, count };
+    });
+
+    return { transitions, regionApplied, matched, unmatched };
+}
+
+// Load both runs' cells and compute their transitions
+async function computeRunTransitions(refRunId, selRunId, options = {}) {
+    const [refCells, selCells] = await Promise.all([loadRunCells(refRunId), loadRunCells(selRunId)]);
+    return computeTransitions(refCells, selCells, options);
+}
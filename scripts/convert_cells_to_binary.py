@@ -0,0 +1,148 @@
+#!/usr/bin/env python3
+"""Convert data/run_N_cells.json files to the compact binary cell format.
+
+Writes data/run_N_cells.bin next to each JSON file and sets
+"cells_format": "binary" in data/runs_metadata.json so the dashboard reads
+the binary files (it falls back to the JSON for any run without one).
+
+Layout (little-endian), read by js/cell-format.js:
+    bytes 0-3   magic b"PCSB"
+    bytes 4-7   uint32 length of the JSON header
+    header      UTF-8 JSON: version, run_id, count, z_values, default_radius,
+                classes (class labels), columns ([{name, dtype, offset}])
+    columns     one array of `count` values per column, 8-byte aligned
+
+Usage:
+    python3 scripts/convert_cells_to_binary.py [--data-dir data] [--no-metadata]
+"""
+
+import argparse
+import array
+import glob
+import json
+import os
+import sys
+
+MAGIC = b"PCSB"
+FORMAT_VERSION = 1
+
+# Column name -> (array typecode, dtype name in the header)
+COLUMNS = [
+    ("id", "I", "uint32"),
+    ("x", "f", "float32"),
+    ("y", "f", "float32"),
+    ("z", "f", "float32"),
+    ("r", "f", "float32"),
+    ("gene_counts", "f", "float32"),
+    ("class", "H", "uint16"),
+]
+
+
+def pad_to(length, alignment=8):
+    return (alignment - length % alignment) % alignment
+
+
+def build_columns(data):
+    cells = data.get("cells", [])
+    default_radius = data.get("default_radius", 6.0)
+    classes = sorted({cell["class"] for cell in cells})
+    if len(classes) > 65535:
+        raise ValueError("more than 65535 classes do not fit the uint16 class column")
+    class_index = {label: i for i, label in enumerate(classes)}
+
+    values = {
+        "id": [int(cell["id"]) for cell in cells],
+        "x": [float(cell["x"]) for cell in cells],
+        "y": [float(cell["y"]) for cell in cells],
+        "z": [float(cell.get("z") or 0) for cell in cells],
+        "r": [float(cell.get("r") or default_radius) for cell in cells],
+        # Missing counts are stored as NaN, as the JSON parse does
+        "gene_counts": [float("nan") if cell.get("gene_counts") is None else float(cell["gene_counts"])
+                        for cell in cells],
+        "class": [class_index[cell["class"]] for cell in cells],
+    }
+
+    columns = []
+    for name, typecode, dtype in COLUMNS:
+        arr = array.array(typecode, values[name])
+        if arr.itemsize != {"I": 4, "f": 4, "H": 2}[typecode]:
+            raise RuntimeError(f"unexpected item size for array type {typecode!r}")
+        if sys.byteorder == "big":
+            arr.byteswap()
+        columns.append((name, dtype, arr.tobytes()))
+    return classes, columns
+
+
+def encode(data):
+    classes, columns = build_columns(data)
+    count = len(data.get("cells", []))
+
+    # Column offsets depend on the header length, which depends on the offsets:
+    # lay out with placeholder offsets, then widen until the header fits.
+    header_room = 0
+    while True:
+        offset = 8 + header_room
+        offset += pad_to(offset)
+        specs = []
+        for name, dtype, raw in columns:
+            specs.append({"name": name, "dtype": dtype, "offset": offset})
+            offset += len(raw) + pad_to(len(raw))
+        header = json.dumps({
+            "version": FORMAT_VERSION,
+            "run_id": data.get("run_id"),
+            "count": count,
+            "z_values": data.get("z_values", []),
+            "default_radius": data.get("default_radius", 6.0),
+            "classes": classes,
+            "columns": specs,
+        }, separators=(",", ":")).encode("utf-8")
+        if len(header) <= header_room:
+            break
+        header_room = len(header)
+
+    header = header + b" " * (header_room - len(header))
+    out = bytearray(MAGIC)
+    out += len(header).to_bytes(4, "little")
+    out += header
+    out += b"\0" * pad_to(len(out))
+    for spec, (_, _, raw) in zip(specs, columns):
+        assert len(out) == spec["offset"]
+        out += raw
+        out += b"\0" * pad_to(len(raw))
+    return bytes(out)
+
+
+def main():
+    parser = argparse.ArgumentParser(description=__doc__.splitlines()[0])
+    parser.add_argument("--data-dir", default="data", help="folder with run_N_cells.json files")
+    parser.add_argument("--no-metadata", action="store_true",
+                        help="do not set cells_format in runs_metadata.json")
+    args = parser.parse_args()
+
+    paths = sorted(glob.glob(os.path.join(args.data_dir, "*_cells.json")))
+    if not paths:
+        sys.exit(f"No *_cells.json files in {args.data_dir}")
+
+    for path in paths:
+        with open(path) as f:
+            data = json.load(f)
+        target = path[:-len(".json")] + ".bin"
+        encoded = encode(data)
+        with open(target, "wb") as f:
+            f.write(encoded)
+        print(f"{os.path.basename(path)}: {os.path.getsize(path) / 1e6:.1f} MB -> "
+              f"{os.path.basename(target)}: {len(encoded) / 1e6:.1f} MB")
+
+    if not args.no_metadata:
+        metadata_path = os.path.join(args.data_dir, "runs_metadata.json")
+        with open(metadata_path) as f:
+            metadata = json.load(f)
+        metadata["cells_format"] = "binary"
+        with open(metadata_path, "w") as f:
+            json.dump(metadata, f, indent=2)
+            f.write("\n")
+        print(f"Set cells_format to binary in {metadata_path}")
+
+
+if __name__ == "__main__":
+    main()